@@ -0,0 +1,284 @@
+// Runs a list of puzzles, one after another, in a fresh solver for each.
+// This is independent of the page so that it can also be used from the
+// console.
+class BatchRunner {
+  static DEFAULT_TIMEOUT_MS = 10000;
+  // Find at most this many solutions by default. 2 is enough to tell if
+  // the puzzle is unique.
+  static DEFAULT_MAX_SOLUTIONS = 2;
+
+  constructor(options) {
+    options ||= {};
+    this._timeoutMs = options.timeoutMs ?? BatchRunner.DEFAULT_TIMEOUT_MS;
+    this._maxSolutions = (
+      options.maxSolutions ?? BatchRunner.DEFAULT_MAX_SOLUTIONS);
+    this._rateDifficulty = options.rateDifficulty || false;
+    this._solver = null;
+    this._aborted = false;
+  }
+
+  // Split text into puzzles.
+  //  - In 'line' mode each non-empty line is a puzzle.
+  //  - In 'block' mode puzzles are separated by blank lines.
+  // A puzzle may be prefixed with a name followed by a tab.
+  static parsePuzzleList(text, splitMode) {
+    const parts = splitMode == 'block'
+      ? text.split(/\n\s*\n/) : text.split('\n');
+
+    const puzzles = [];
+    for (const part of parts) {
+      if (!part.trim()) continue;
+
+      let name = `#${puzzles.length + 1}`;
+      let input = part;
+      const tabIndex = part.indexOf('\t');
+      if (tabIndex != -1) {
+        name = part.substring(0, tabIndex).trim() || name;
+        input = part.substring(tabIndex + 1);
+      }
+      puzzles.push({ name, input: input.trim() });
+    }
+    return puzzles;
+  }
+
+  // Solve each puzzle, calling onResult(result, index) as each one
+  // completes. Returns the list of results.
+  async run(puzzles, onResult) {
+    this._aborted = false;
+    const results = [];
+    for (let i = 0; i < puzzles.length; i++) {
+      if (this._aborted) break;
+      const result = await this._runPuzzle(puzzles[i]);
+      results.push(result);
+      if (onResult) onResult(result, i);
+    }
+    return results;
+  }
+
+  // Stop the current puzzle, and don't start any more.
+  abort() {
+    this._aborted = true;
+    if (this._solver) this._solver.terminate();
+  }
+
+  async _runPuzzle(puzzle) {
+    const result = {
+      name: puzzle.name,
+      input: puzzle.input,
+      numSolutions: null,
+      exactCount: false,
+      solution: null,
+      guesses: null,
+      backtracks: null,
+      runtimeMs: null,
+      difficulty: null,
+      error: null,
+    };
+
+    let state = null;
+    // The state after counting, so that the stats don't include the rating.
+    let countState = null;
+    const stateHandler = (s) => {
+      state = s;
+      // The first solution is the first sample solution sent by the solver.
+      if (!result.solution && s.extra?.solutions?.length) {
+        result.solution = s.extra.solutions[0];
+      }
+    };
+
+    let solver;
+    try {
+      const constraint = SudokuParser.parseText(puzzle.input);
+      solver = await SudokuBuilder.buildInWorker(constraint, stateHandler);
+      this._solver = solver;
+
+      const run = async () => {
+        result.numSolutions = await solver.countSolutions(this._maxSolutions);
+        result.exactCount = state.done;
+        countState = state;
+        if (this._rateDifficulty) {
+          result.difficulty = await solver.rateDifficulty();
+        }
+      };
+
+      let resultPromise = run();
+      if (this._timeoutMs) {
+        resultPromise = withDeadline(
+          resultPromise, this._timeoutMs,
+          `Timed out (${formatTimeMs(this._timeoutMs)})`);
+      }
+      await resultPromise;
+      if (result.solution) {
+        result.solution = toShortSolution(
+          result.solution, constraint.getShape());
+      }
+    } catch (e) {
+      result.error = this._aborted ? 'Aborted' : String(e);
+      result.solution = null;
+    } finally {
+      if (solver) solver.terminate();
+      this._solver = null;
+    }
+
+    const statsState = countState || state;
+    if (statsState) {
+      result.guesses = statsState.counters.guesses;
+      result.backtracks = statsState.counters.backtracks;
+      result.runtimeMs = statsState.timeMs;
+    }
+
+    return result;
+  }
+
+  static formatNumSolutions(result) {
+    if (result.numSolutions === null) return '';
+    return result.numSolutions + (result.exactCount ? '' : '+');
+  }
+
+  static COLUMNS = [
+    ['Name', r => r.name],
+    ['Solutions', r => BatchRunner.formatNumSolutions(r)],
+    ['First solution', r => r.solution || ''],
+    ['Guesses', r => r.guesses ?? ''],
+    ['Backtracks', r => r.backtracks ?? ''],
+    ['Runtime (ms)', r => r.runtimeMs === null ? '' : r.runtimeMs.toFixed(1)],
+    ['Difficulty', r => r.difficulty ? r.difficulty.score : ''],
+    ['Band', r => r.difficulty ? r.difficulty.band : ''],
+    ['Error', r => r.error || ''],
+  ];
+
+  static toCSV(results) {
+    const escape = (value) => {
+      value = String(value);
+      if (/[",\n]/.test(value)) {
+        return '"' + value.replaceAll('"', '""') + '"';
+      }
+      return value;
+    };
+
+    const rows = [this.COLUMNS.map(([header, _]) => header)];
+    for (const result of results) {
+      rows.push(this.COLUMNS.map(([_, fn]) => escape(fn(result))));
+    }
+    return rows.map(row => row.join(',')).join('\n');
+  }
+}
+
+class BatchPanel {
+  constructor() {
+    this._container = document.getElementById('batch-container');
+    this._form = document.getElementById('batch-form');
+    this._status = document.getElementById('batch-status');
+    this._table = document.getElementById('batch-results');
+    this._runButton = document.getElementById('batch-run-button');
+    this._abortButton = document.getElementById('batch-abort-button');
+    this._downloadButton = document.getElementById('batch-download-button');
+
+    this._runner = null;
+    this._results = [];
+
+    document.getElementById('batch-open-button').onclick = () => {
+      this._container.classList.toggle('hidden');
+    };
+    document.getElementById('batch-close-button').onclick = () => {
+      this._container.classList.add('hidden');
+    };
+
+    document.getElementById('batch-file-input').onchange = async (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+      this._form['batch-input'].value = await file.text();
+      e.target.value = '';
+    };
+
+    autoSaveField(this._form['batch-timeout']);
+    autoSaveField(this._form['batch-max-solutions']);
+    autoSaveField(this._form['batch-split-mode']);
+
+    this._form.onsubmit = (e) => {
+      e.preventDefault();
+      this._run();
+      return false;
+    };
+    this._abortButton.onclick = () => this._runner?.abort();
+    this._downloadButton.onclick = () => this._download();
+
+    this._setRunning(false);
+  }
+
+  _setRunning(isRunning) {
+    this._runButton.disabled = isRunning;
+    this._abortButton.disabled = !isRunning;
+    this._downloadButton.disabled = isRunning || !this._results.length;
+  }
+
+  async _run() {
+    const puzzles = BatchRunner.parsePuzzleList(
+      this._form['batch-input'].value,
+      this._form['batch-split-mode'].value);
+    if (!puzzles.length) {
+      this._status.textContent = 'No puzzles to solve.';
+      return;
+    }
+
+    this._runner = new BatchRunner({
+      timeoutMs: (+this._form['batch-timeout'].value) * 1000,
+      maxSolutions: +this._form['batch-max-solutions'].value,
+      rateDifficulty: this._form['batch-rate-difficulty'].checked,
+    });
+    this._results = [];
+    this._initTable();
+    this._setRunning(true);
+
+    let numFailures = 0;
+    const updateStatus = () => {
+      this._status.textContent = (
+        `Solved ${this._results.length}/${puzzles.length}` +
+        (numFailures ? ` (${numFailures} failed)` : ''));
+    };
+    updateStatus();
+
+    await this._runner.run(puzzles, (result) => {
+      this._results.push(result);
+      if (result.error) numFailures++;
+      this._addTableRow(result);
+      updateStatus();
+    });
+
+    this._runner = null;
+    this._setRunning(false);
+  }
+
+  _initTable() {
+    clearDOMNode(this._table);
+    const row = this._table.createTHead().insertRow();
+    for (const [header, _] of BatchRunner.COLUMNS) {
+      const th = document.createElement('th');
+      th.textContent = header;
+      row.appendChild(th);
+    }
+    this._table.createTBody();
+  }
+
+  _addTableRow(result) {
+    const row = this._table.tBodies[0].insertRow();
+    if (result.error) row.classList.add('error');
+    for (const [_, fn] of BatchRunner.COLUMNS) {
+      row.insertCell().textContent = fn(result);
+    }
+  }
+
+  _download() {
+    const text = BatchRunner.toCSV(this._results);
+    const blob = new Blob([text], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+
+    // Create a dummy element and click it.
+    const elem = window.document.createElement('a');
+    elem.href = url;
+    elem.download = `sudoku-iss-batch-${localTimestamp()}.csv`;
+    document.body.appendChild(elem);
+    elem.click();
+    document.body.removeChild(elem);
+  }
+}
@@ -0,0 +1,208 @@
+#!/usr/bin/env node
+// Command-line wrapper around the headless solver.
+//
+// Reads puzzles from the given files (or stdin) and prints the results.
+// Run with --help for usage.
+
+const fs = require('fs');
+const { NodeSolver, toShortSolution } = require('./node_solver.js');
+
+const USAGE = `
+Usage: node js/cli.js [options] [file ...]
+
+Reads puzzles from each file (or stdin if no files are given). By default each
+non-empty line is a separate puzzle. Any format accepted by the solver's text
+input can be used.
+
+Options:
+  --mode=MODE     One of:
+                    solve (default)     Print the first solution.
+                    count               Count all solutions (see --limit).
+                    all-possibilities   Print all values which appear in any
+                                        solution (as a pencilmark string).
+                    validate-layout     Check that the layout has a solution.
+                    rate                Rate the difficulty of the puzzle.
+  --format=FORMAT text (default) or json (one JSON object per line).
+  --limit=N       In count mode, stop after N solutions.
+  --whole         Treat each file as a single puzzle instead of one per line.
+  --stats         Include solver counters and timings in the output.
+  --help          Show this message.
+`.trim();
+
+const MODES = {
+  'solve': async (solver) => {
+    const solution = await solver.solve();
+    return {
+      solution: solution && toShortSolution(solution, solver.shape()),
+    };
+  },
+  'count': async (solver, options) => {
+    const count = await solver.countSolutions(options.limit);
+    // The count is a lower bound if there are more than `limit` solutions.
+    return { count, complete: solver.state().done };
+  },
+  'all-possibilities': async (solver) => {
+    const pencilmarks = await solver.solveAllPossibilities();
+    return {
+      pencilmarks: toPencilmarkString(pencilmarks, solver.shape()),
+    };
+  },
+  'validate-layout': async (solver) => {
+    return { valid: await solver.validateLayout() };
+  },
+  'rate': async (solver) => {
+    return { rating: await solver.rateDifficulty() };
+  },
+};
+
+// Format pencilmarks the same way as the pencilmark input format:
+// numValues characters per cell with '.' for missing values.
+const toPencilmarkString = (pencilmarks, shape) => {
+  if (pencilmarks.every(p => !p.size)) return null;
+  const parts = [];
+  for (const values of pencilmarks) {
+    for (let v = 1; v <= shape.numValues; v++) {
+      parts.push(values.has(v) ? shape.displayValue(v) : '.');
+    }
+  }
+  return parts.join('');
+};
+
+const parseArgs = (argv) => {
+  const options = {
+    mode: 'solve',
+    limit: 0,
+    format: 'text',
+    whole: false,
+    stats: false,
+    help: false,
+    files: [],
+  };
+
+  for (const arg of argv) {
+    if (!arg.startsWith('--')) {
+      options.files.push(arg);
+      continue;
+    }
+    const [key, value] = arg.substring(2).split('=');
+    switch (key) {
+      case 'mode':
+        if (!MODES[value]) throw ('Unknown mode: ' + value);
+        options.mode = value;
+        break;
+      case 'format':
+        if (value != 'text' && value != 'json') {
+          throw ('Unknown format: ' + value);
+        }
+        options.format = value;
+        break;
+      case 'limit':
+        options.limit = parseInt(value);
+        if (!(options.limit >= 0)) throw ('Invalid limit: ' + value);
+        break;
+      case 'whole':
+      case 'stats':
+      case 'help':
+        options[key] = true;
+        break;
+      default:
+        throw ('Unknown option: ' + arg);
+    }
+  }
+
+  return options;
+};
+
+// Yields { name, input } for each puzzle in the given sources.
+const readPuzzles = function* (options) {
+  const sources = options.files.length
+    ? options.files.map(f => [f, fs.readFileSync(f, 'utf8')])
+    : [['stdin', fs.readFileSync(0, 'utf8')]];
+
+  for (const [sourceName, text] of sources) {
+    if (options.whole) {
+      if (text.trim()) yield { name: sourceName, input: text };
+      continue;
+    }
+    const lines = text.split('\n');
+    for (let i = 0; i < lines.length; i++) {
+      if (!lines[i].trim()) continue;
+      yield { name: `${sourceName}:${i + 1}`, input: lines[i] };
+    }
+  }
+};
+
+const runPuzzle = async (puzzle, options) => {
+  const result = { puzzle: puzzle.name };
+  try {
+    const solver = NodeSolver.build(puzzle.input);
+    Object.assign(result, await MODES[options.mode](solver, options));
+    if (options.stats) {
+      const state = solver.state();
+      delete state.counters.progressRatio;
+      delete state.counters.progressRatioPrev;
+      result.stats = {
+        ...state.counters,
+        setupTimeMs: state.puzzleSetupTime,
+        runtimeMs: state.timeMs,
+      };
+    }
+  } catch (e) {
+    result.error = e.toString();
+  }
+  return result;
+};
+
+const formatText = (result) => {
+  let output;
+  if (result.error !== undefined) {
+    output = `Error: ${result.error}`;
+  } else if (result.solution !== undefined) {
+    output = result.solution || 'No solution';
+  } else if (result.count !== undefined) {
+    output = `${result.count}${result.complete ? '' : '+'} solution` +
+      (result.count == 1 ? '' : 's');
+  } else if (result.pencilmarks !== undefined) {
+    output = result.pencilmarks || 'No solution';
+  } else if (result.valid !== undefined) {
+    output = result.valid ? 'Valid layout' : 'Invalid layout';
+  } else if (result.rating !== undefined) {
+    output = `${result.rating.score} (${result.rating.band})`;
+    if (!result.rating.unique) output += ' not unique';
+  }
+
+  const lines = [`${result.puzzle}: ${output}`];
+  if (result.stats) {
+    const stats = Object.entries(result.stats).map(
+      ([k, v]) => `${k}=${Number.isInteger(v) ? v : v.toFixed(1)}`);
+    lines.push('  ' + stats.join(' '));
+  }
+  return lines.join('\n');
+};
+
+const main = async () => {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(e.toString());
+    console.error(USAGE);
+    return 2;
+  }
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  let numErrors = 0;
+  for (const puzzle of readPuzzles(options)) {
+    const result = await runPuzzle(puzzle, options);
+    if (result.error !== undefined) numErrors++;
+    console.log(
+      options.format == 'json' ? JSON.stringify(result) : formatText(result));
+  }
+
+  return numErrors ? 1 : 0;
+};
+
+main().then(code => { process.exitCode = code; });
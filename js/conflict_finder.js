@@ -0,0 +1,87 @@
+// Finds a minimal set of constraints which has no solution, to explain why a
+// puzzle is broken. Each test solves a fresh solver with some of the
+// constraints removed.
+class ConflictFinder {
+  // Searches which take longer than this are treated as unknown, and the
+  // constraints being tested are kept.
+  static DEFAULT_TIMEOUT_MS = 5000;
+  static _TIMED_OUT = 'Timed out';
+
+  // `baseConstraints` are always included. `items` are the candidates for
+  // the conflict, each with a `constraint` property.
+  constructor(baseConstraints, items, options) {
+    options ||= {};
+    this._baseConstraints = baseConstraints;
+    this._items = items;
+    this._timeoutMs = options.timeoutMs ?? ConflictFinder.DEFAULT_TIMEOUT_MS;
+    this._solver = null;
+    this._aborted = false;
+  }
+
+  // Returns {items, isMinimal} for a conflicting subset, or null if the puzzle
+  // has a solution. The subset is minimal unless a test timed out, as the
+  // items being tested are then kept.
+  // Items are removed in chunks which halve in size, finishing with one at a
+  // time. Removing constraints can only add solutions, so once an item is
+  // found to be needed it stays needed.
+  // onProgress(numTested, numRemaining) is called after each test.
+  async run(onProgress) {
+    this._aborted = false;
+    onProgress ||= () => { };
+
+    const hasSolution = await this._hasSolution(this._items);
+    if (hasSolution) return null;
+    if (hasSolution === null) throw ('Timed out checking for a solution.');
+
+    let conflict = this._items;
+    let isMinimal = true;
+    let numTested = 1;
+    let chunkSize = conflict.length;
+    do {
+      chunkSize = Math.ceil(chunkSize / 2);
+      for (let i = 0; i < conflict.length;) {
+        const remaining = [
+          ...conflict.slice(0, i), ...conflict.slice(i + chunkSize)];
+        const hasSolution = await this._hasSolution(remaining);
+        if (hasSolution === false) {
+          conflict = remaining;
+        } else {
+          if (hasSolution === null) isMinimal = false;
+          i += chunkSize;
+        }
+        onProgress(++numTested, conflict.length);
+      }
+    } while (chunkSize > 1);
+
+    return { items: conflict, isMinimal };
+  }
+
+  abort() {
+    this._aborted = true;
+    if (this._solver) this._solver.terminate();
+  }
+
+  // Returns true or false, or null if the search timed out.
+  async _hasSolution(items) {
+    if (this._aborted) throw ('Aborted');
+
+    const constraint = new SudokuConstraint.Set([
+      ...this._baseConstraints, ...items.map(item => item.constraint)]);
+
+    let solver;
+    try {
+      solver = await SudokuBuilder.buildInWorker(constraint);
+      if (this._aborted) throw ('Aborted');
+      this._solver = solver;
+      const solution = await withDeadline(
+        solver.nthSolution(0), this._timeoutMs, ConflictFinder._TIMED_OUT);
+      return solution !== null;
+    } catch (e) {
+      if (e === ConflictFinder._TIMED_OUT && !this._aborted) return null;
+      throw e;
+    } finally {
+      if (solver) solver.terminate();
+      this._solver = null;
+    }
+  }
+}
@@ -182,6 +182,31 @@ class PuzzleRunner {
     }, onFailure);
   }
 
+  // Rate the difficulty of each puzzle, and return them sorted from easiest
+  // to hardest.
+  static async runRatings(puzzles) {
+    const ratings = [];
+    for (const puzzleCfg of puzzles) {
+      const puzzle = puzzleFromCfg(puzzleCfg);
+      const constraint = SudokuParser.parseText(puzzle.input);
+      const solver = await SudokuBuilder.buildInWorker(constraint);
+      console.log('rating...');
+      try {
+        const rating = await solver.rateDifficulty();
+        ratings.push({
+          puzzle: puzzle.name,
+          score: rating.score,
+          band: rating.band,
+          unique: rating.unique,
+        });
+      } finally {
+        solver.terminate();
+      }
+    }
+    ratings.sort((a, b) => a.score - b.score);
+    return ratings;
+  }
+
   static async runValidateLayout(cases, onFailure) {
     return await this.runFnWithChecks(cases, async (solver) => {
       return await solver.validateLayout();
@@ -274,7 +299,42 @@ const runSolveTests = async (onFailure) => {
   return results;
 };
 
+// Check that constraints survive being exported to f-puzzles and imported
+// back again.
+const runExternalFormatTests = () => {
+  const cases = [
+    '.Thermo~R1C1~R1C2~R1C3.Thermo~R3C1~R3C2',
+    '.Arrow~R1C1~R1C2~R2C3.Arrow~R5C5',
+    '.PillArrow~R1C1~R1C2~R2C3~R3C3',
+    '.Palindrome~R1C1~R2C2~R3C3~R4C4',
+    '.Renban~R1C1~R1C2~R1C3',
+    '.Between~R1C1~R1C2~R1C3~R2C4',
+    '.RegionSumLine~R3C2~R3C3~R3C4~R3C5',
+    '.Entropic~R1C1~R2C1~R3C1',
+    '.Whisper~5~R1C1~R1C2~R1C3',
+  ];
+
+  let numFailures = 0;
+  for (const input of cases) {
+    const constraint = SudokuParser.parseText(input);
+    const { puzzle } = ExternalPuzzleExporter.toFPuzzles(constraint);
+    const link = ExternalPuzzleExporter.fPuzzlesLink(puzzle);
+    const result = ExternalPuzzleParser.parse(link).constraint.toString();
+    if (result != constraint.toString()) {
+      numFailures++;
+      console.log('Test failed: ' + input);
+      console.log('Got', result);
+    }
+  }
+
+  if (numFailures > 0) {
+    throw (numFailures + ' external format failures');
+  }
+  console.log(`External formats: ${cases.length} passed`);
+};
+
 const runAllTests = async () => {
+  runExternalFormatTests();
   let results = [];
   results.push(...await runSolveTests());
   results.push(...await runValidateLayoutTests());
@@ -291,6 +351,13 @@ const runAll = async (puzzles) => {
   return result;
 };
 
+// Rank a collection by difficulty. e.g. rankByDifficulty(TAREK_ALL)
+const rankByDifficulty = async (puzzles) => {
+  const ratings = await PuzzleRunner.runRatings(puzzles);
+  console.table(ratings);
+  return ratings;
+};
+
 const printGrid = (grid) => {
   const gridSize = Math.sqrt(grid.length);
   const matrix = [];
@@ -17,7 +17,10 @@ class DisplayContainer {
     const sideLength = DisplayItem.CELL_SIZE * shape.gridSize + padding * 2;
     this._mainSvg.setAttribute('height', sideLength);
     this._mainSvg.setAttribute('width', sideLength);
-    this._mainSvg.setAttribute('class', `size-${shape.name}`);
+    this._mainSvg.setAttribute(
+      'class', shape.numValues > 9 ? 'size-large' : 'size-small');
+    this._mainSvg.classList.toggle(
+      'size-huge', shape.numValues > SHAPE_16x16.numValues);
 
     this._highlightDisplay.reshape(shape);
     this._clickInterceptor.reshape(shape);
@@ -41,6 +44,42 @@ class DisplayContainer {
   getClickInterceptor() {
     return this._clickInterceptor
   }
+
+  static _EXPORTED_STYLES = [
+    'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity',
+    'stroke-dasharray', 'stroke-linecap', 'stroke-linejoin', 'opacity',
+    'display', 'visibility', 'font-family', 'font-size', 'font-weight',
+    'text-anchor', 'dominant-baseline', 'white-space', 'transform',
+  ];
+
+  // A copy of the grid which can be displayed outside of the page, with the
+  // styles from the stylesheet inlined. The groups with ids in
+  // `excludedGroups` are left out.
+  exportSvg(excludedGroups) {
+    const svg = this._mainSvg.cloneNode(true);
+    svg.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+
+    // The clone has the same structure, so the elements line up.
+    const elems = this._mainSvg.querySelectorAll('*');
+    const clonedElems = svg.querySelectorAll('*');
+    for (let i = 0; i < elems.length; i++) {
+      const style = window.getComputedStyle(elems[i]);
+      const clonedStyle = clonedElems[i].style;
+      for (const property of DisplayContainer._EXPORTED_STYLES) {
+        const value = style.getPropertyValue(property);
+        // References (e.g. to patterns) are kept in the attributes.
+        if (!value || value.startsWith('url(')) continue;
+        if (property === 'transform' && (
+          value === 'none' || elems[i].hasAttribute('transform'))) continue;
+        clonedStyle.setProperty(property, value);
+      }
+    }
+
+    for (const id of excludedGroups) {
+      svg.querySelector(`#${id}`)?.remove();
+    }
+    return svg;
+  }
 }
 
 class DisplayItem {
@@ -90,6 +129,13 @@ class DisplayItem {
     return DisplayItem._cellCenter(...this._shape.splitCellIndex(cell));
   }
 
+  // The [row, col, size] of each square grid to draw. Composite layouts have
+  // one for each sub-grid.
+  static gridSquares(shape) {
+    if (!shape.subGrids) return [[0, 0, shape.gridSize]];
+    return shape.subGrids.map(([row, col]) => [row, col, shape.subGridSize]);
+  }
+
   static _cellCenter(row, col) {
     const cellSize = DisplayItem.CELL_SIZE;
     return [col * cellSize + cellSize / 2, row * cellSize + cellSize / 2];
@@ -189,8 +235,21 @@ class ClickInterceptor extends DisplayItem {
     const col = x / DisplayItem.CELL_SIZE | 0;
     if (row < 0 || row >= shape.gridSize) return null;
     if (col < 0 || col >= shape.gridSize) return null;
+    if (!shape.isActiveCell(shape.cellIndex(row, col))) return null;
     return shape.makeCellId(row, col);
   }
+
+  // The value of the pencilmark at the position, assuming the values are laid
+  // out in a square in each cell.
+  valueAt(x, y) {
+    const shape = this._shape;
+    const cellSize = DisplayItem.CELL_SIZE;
+    const valuesPerLine = Math.ceil(Math.sqrt(shape.numValues));
+    const row = (y % cellSize) / cellSize * valuesPerLine | 0;
+    const col = (x % cellSize) / cellSize * valuesPerLine | 0;
+    const value = row * valuesPerLine + col + 1;
+    return value <= shape.numValues ? value : null;
+  }
 }
 
 class InfoTextDisplay extends DisplayItem {
@@ -219,11 +278,13 @@ class CellValueDisplay extends DisplayItem {
     this.clear();
     const svg = this.getSvg();
 
-    const LINE_HEIGHT = this._shape.gridSize <= SHAPE_9x9.gridSize ? 17 : 10;
+    const LINE_HEIGHT = (
+      this._shape.gridSize <= SHAPE_9x9.gridSize ? 17 :
+        this._shape.numValues <= SHAPE_16x16.numValues ? 10 : 7);
     const START_OFFSET = -DisplayItem.CELL_SIZE / 2 + 2;
     for (let i = 0; i < grid.length; i++) {
       const value = grid[i];
-      if (!value) continue;
+      if (!value || !this._shape.isActiveCell(i)) continue;
 
       const [x, y] = this.cellIndexCenter(i);
 
@@ -236,18 +297,18 @@ class CellValueDisplay extends DisplayItem {
         }
       } else if (value) {
         svg.append(this.makeTextNode(
-          value, x, y, this.SINGLE_VALUE_CLASS));
+          this._shape.displayValue(value), x, y, this.SINGLE_VALUE_CLASS));
       }
     }
   }
 
   static _makeTemplateArray = memoize((shape) => {
-    const charsPerLine = 2 * shape.boxWidth - 1;
+    const charsPerLine = 2 * Math.ceil(Math.sqrt(shape.numValues)) - 1;
 
     let charCount = 0;
     const slots = [];
     for (let i = 1; i <= shape.numValues; i++) {
-      const slot = i < 10 ? ' ' : '  ';
+      const slot = shape.displayValue(i) < 10 ? ' ' : '  ';
       slots.push(slot);
       charCount += slot.length + 1;
 
@@ -265,7 +326,7 @@ class CellValueDisplay extends DisplayItem {
   _formatMultiSolution(values) {
     const slots = [...this.constructor._makeTemplateArray(this._shape)];
     for (const v of values) {
-      slots[v * 2 - 2] = v;
+      slots[v * 2 - 2] = this._shape.displayValue(v);
     }
     return this._multiSolutionToLines(slots);
   }
@@ -377,6 +438,57 @@ class GivensDisplay extends CellValueDisplay {
   }
 }
 
+// Draws the user's entries in play mode: values, and centre and corner
+// pencil marks.
+class PlayDisplay extends DisplayItem {
+  // Offsets from the cell center, in the order corner marks are filled.
+  static _CORNER_OFFSETS = [
+    [-16, -15], [16, -15], [-16, 17], [16, 17],
+    [0, -15], [0, 17], [-16, 1], [16, 1],
+  ];
+
+  constructor(svg) {
+    super(svg);
+    this._applyGridOffset(svg);
+  }
+
+  // `state` has a value, and lists of centre and corner marks, for each cell.
+  // Marks are only shown for cells without a value.
+  drawState(state) {
+    this.clear();
+    const shape = this._shape;
+    const svg = this.getSvg();
+    const offsets = this.constructor._CORNER_OFFSETS;
+
+    for (let i = 0; i < shape.numCells; i++) {
+      const [x, y] = this.cellIndexCenter(i);
+      if (state.values[i]) {
+        svg.append(this.makeTextNode(
+          shape.displayValue(state.values[i]), x, y, 'cell-single-value'));
+        continue;
+      }
+
+      const center = state.center[i];
+      if (center.length) {
+        const text = center.map(v => shape.displayValue(v)).join('');
+        const textNode = this.makeTextNode(text, x, y, 'play-center-marks');
+        // Shrink the marks to fit the cell.
+        if (text.length > 5) {
+          textNode.style.fontSize = `${Math.floor(60 / text.length)}px`;
+        }
+        svg.append(textNode);
+      }
+
+      const corner = state.corner[i];
+      for (let j = 0; j < corner.length; j++) {
+        const [dx, dy] = offsets[j % offsets.length];
+        svg.append(this.makeTextNode(
+          shape.displayValue(corner[j]), x + dx, y + dy, 'play-corner-mark'));
+      }
+    }
+  }
+}
+
 class HighlightDisplay extends DisplayItem {
   constructor(svg) {
     super(svg);
@@ -867,19 +979,20 @@ class GridDisplay extends DisplayItem {
     this.clear();
 
     const cellSize = DisplayItem.CELL_SIZE;
-    const gridSize = cellSize * shape.gridSize;
-
     const grid = this.getSvg();
-
-    for (let i = 1; i < gridSize; i++) {
-      grid.append(this._makePath([
-        [0, i * cellSize],
-        [gridSize, i * cellSize],
-      ]));
-      grid.append(this._makePath([
-        [i * cellSize, 0],
-        [i * cellSize, gridSize],
-      ]));
+    for (const [row, col, size] of DisplayItem.gridSquares(shape)) {
+      const [x, y] = [col * cellSize, row * cellSize];
+      const sizePixels = cellSize * size;
+      for (let i = 1; i < size; i++) {
+        grid.append(this._makePath([
+          [x, y + i * cellSize],
+          [x + sizePixels, y + i * cellSize],
+        ]));
+        grid.append(this._makePath([
+          [x + i * cellSize, y],
+          [x + i * cellSize, y + sizePixels],
+        ]));
+      }
     }
   }
 }
@@ -903,17 +1016,22 @@ class BorderDisplay extends DisplayItem {
     super.reshape(shape);
     this.clear();
 
-    const gridSizePixels = this.gridSizePixels();
-
-    const path = this._makePath([
-      [0, 0],
-      [0, gridSizePixels],
-      [gridSizePixels, gridSizePixels],
-      [gridSizePixels, 0],
-      [0, 0],
-    ]);
-    if (this._fill) path.setAttribute('fill', this._fill);
-    this.getSvg().append(path);
+    const cellSize = DisplayItem.CELL_SIZE;
+    // Draw the outline of each sub-grid. Together they form the outline of
+    // a composite layout.
+    for (const [row, col, size] of DisplayItem.gridSquares(shape)) {
+      const [x, y] = [col * cellSize, row * cellSize];
+      const sizePixels = cellSize * size;
+      const path = this._makePath([
+        [x, y],
+        [x, y + sizePixels],
+        [x + sizePixels, y + sizePixels],
+        [x + sizePixels, y],
+        [x, y],
+      ]);
+      if (this._fill) path.setAttribute('fill', this._fill);
+      this.getSvg().append(path);
+    }
   }
 }
 
@@ -932,20 +1050,24 @@ class DefaultRegions extends DisplayItem {
     this.clear();
 
     const cellSize = DisplayItem.CELL_SIZE;
-    const gridSizePixels = cellSize * shape.gridSize;
     const svg = this.getSvg();
-
-    for (let i = shape.boxWidth; i < shape.gridSize; i += shape.boxWidth) {
-      svg.appendChild(this._makePath([
-        [i * cellSize, 0],
-        [i * cellSize, gridSizePixels],
-      ]));
-    }
-    for (let i = shape.boxHeight; i < shape.gridSize; i += shape.boxHeight) {
-      svg.appendChild(this._makePath([
-        [0, i * cellSize],
-        [gridSizePixels, i * cellSize],
-      ]));
+    if (shape.noDefaultBoxes) return;
+
+    for (const [row, col, size] of DisplayItem.gridSquares(shape)) {
+      const [x, y] = [col * cellSize, row * cellSize];
+      const sizePixels = cellSize * size;
+      for (let i = shape.boxWidth; i < size; i += shape.boxWidth) {
+        svg.appendChild(this._makePath([
+          [x + i * cellSize, y],
+          [x + i * cellSize, y + sizePixels],
+        ]));
+      }
+      for (let i = shape.boxHeight; i < size; i += shape.boxHeight) {
+        svg.appendChild(this._makePath([
+          [x, y + i * cellSize],
+          [x + sizePixels, y + i * cellSize],
+        ]));
+      }
     }
   }
 
@@ -1147,18 +1269,24 @@ class OutsideArrowDisplay extends DisplayItem {
     this.clear();
     this._outsideArrowMap = new Map();
 
-    const littleKillerCellMap = SudokuConstraint.LittleKiller.cellMap(shape);
-    for (const lineId in littleKillerCellMap) {
-      this._addArrowSvg('diagonal-arrow', lineId, littleKillerCellMap[lineId]);
-      this._outsideArrowMap.get(lineId).constraintTypes.push('LittleKiller');
+    const isSupported = (type) => (
+      SudokuConstraintBase.isSupportedByShape(type, shape));
+
+    if (isSupported('LittleKiller')) {
+      const littleKillerCellMap = SudokuConstraint.LittleKiller.cellMap(shape);
+      for (const lineId in littleKillerCellMap) {
+        this._addArrowSvg('diagonal-arrow', lineId, littleKillerCellMap[lineId]);
+        this._outsideArrowMap.get(lineId).constraintTypes.push('LittleKiller');
+      }
     }
     for (const [lineId, cells] of SudokuConstraintBase.fullLineCellMap(shape)) {
       this._addArrowSvg('full-line-arrow', lineId, cells);
-      if (lineId.endsWith(',1')) {
-        this._outsideArrowMap.get(lineId).constraintTypes.push('Sandwich');
+      const types = this._outsideArrowMap.get(lineId).constraintTypes;
+      if (lineId.endsWith(',1') && isSupported('Sandwich')) {
+        types.push('Sandwich');
       }
-      this._outsideArrowMap.get(lineId).constraintTypes.push('XSum');
-      this._outsideArrowMap.get(lineId).constraintTypes.push('Skyscraper');
+      if (isSupported('XSum')) types.push('XSum');
+      types.push('Skyscraper');
     }
   }
 
@@ -0,0 +1,59 @@
+// Exports the current constraints in the f-puzzles format, so that they can
+// be played in f-puzzles or SudokuPad.
+class ExportPanel {
+  constructor(constraintManager) {
+    this._constraintManager = constraintManager;
+    this._container = document.getElementById('export-container');
+    this._json = document.getElementById('export-json');
+    this._error = document.getElementById('export-error');
+    this._warnings = document.getElementById('export-warnings');
+    this._sudokuPadLink = document.getElementById('export-sudokupad-link');
+    this._fPuzzlesLink = document.getElementById('export-fpuzzles-link');
+
+    document.getElementById('export-open-button').onclick = () => {
+      this._container.classList.remove('hidden');
+      this._export();
+    };
+    document.getElementById('export-close-button').onclick = () => {
+      this._container.classList.add('hidden');
+    };
+    document.getElementById('export-copy-json-button').onclick = () => {
+      navigator.clipboard.writeText(this._json.value);
+    };
+    document.getElementById('export-copy-link-button').onclick = () => {
+      navigator.clipboard.writeText(this._sudokuPadLink.href);
+    };
+  }
+
+  _export() {
+    clearDOMNode(this._warnings);
+    this._error.textContent = '';
+
+    let result;
+    try {
+      result = ExternalPuzzleExporter.toFPuzzles(
+        this._constraintManager.getConstraints());
+    } catch (e) {
+      this._error.textContent = e;
+      this._json.value = '';
+      this._sudokuPadLink.removeAttribute('href');
+      this._fPuzzlesLink.removeAttribute('href');
+      return;
+    }
+
+    const { puzzle, warnings } = result;
+    this._json.value = JSON.stringify(puzzle);
+    this._sudokuPadLink.href = ExternalPuzzleExporter.sudokuPadLink(puzzle);
+    this._fPuzzlesLink.href = ExternalPuzzleExporter.fPuzzlesLink(puzzle);
+
+    if (warnings.length) {
+      this._error.textContent = 'These constraints have no equivalent, ' +
+        'and must be described in the rules:';
+    }
+    for (const warning of warnings) {
+      const li = document.createElement('li');
+      li.textContent = warning;
+      this._warnings.appendChild(li);
+    }
+  }
+}
@@ -0,0 +1,964 @@
+// Reading and writing puzzles in the formats of other tools: f-puzzles and
+// SudokuPad.
+
+// Implementation of the lz-string compression format, which is used to encode
+// f-puzzles and SudokuPad puzzles in URLs.
+// See https://github.com/pieroxy/lz-string for the reference implementation.
+class LZString {
+  static BASE64_CHARS = (
+    'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/=');
+  static URI_SAFE_CHARS = (
+    'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+-$');
+
+  static _charIndex = memoize((chars) => {
+    const index = new Map();
+    for (let i = 0; i < chars.length; i++) index.set(chars[i], i);
+    return index;
+  });
+
+  static compressToBase64(input) {
+    const result = this._compress(input, 6, i => this.BASE64_CHARS[i]);
+    return result + '==='.substring(0, (4 - result.length % 4) % 4);
+  }
+
+  static compressToEncodedURIComponent(input) {
+    return this._compress(input, 6, i => this.URI_SAFE_CHARS[i]);
+  }
+
+  static decompressFromBase64(input) {
+    const index = this._charIndex(this.BASE64_CHARS);
+    return this._decompress(input.length, 32, i => index.get(input[i]));
+  }
+
+  static decompressFromEncodedURIComponent(input) {
+    input = input.replaceAll(' ', '+');
+    const index = this._charIndex(this.URI_SAFE_CHARS);
+    return this._decompress(input.length, 32, i => index.get(input[i]));
+  }
+
+  static _compress(input, bitsPerChar, charFromInt) {
+    const dictionary = new Map();
+    const toCreate = new Set();
+    let dictSize = 3;
+    let numBits = 2;
+    let enlargeIn = 2;
+
+    const output = [];
+    let outputValue = 0;
+    let outputPosition = 0;
+    // Values are written least significant bit first.
+    const writeBits = (n, value) => {
+      for (let i = 0; i < n; i++) {
+        outputValue = (outputValue << 1) | (value & 1);
+        if (outputPosition == bitsPerChar - 1) {
+          outputPosition = 0;
+          output.push(charFromInt(outputValue));
+          outputValue = 0;
+        } else {
+          outputPosition++;
+        }
+        value >>= 1;
+      }
+    };
+    const decrementEnlargeIn = () => {
+      if (--enlargeIn == 0) {
+        enlargeIn = 1 << numBits;
+        numBits++;
+      }
+    };
+    const writeWord = (w) => {
+      if (toCreate.has(w)) {
+        const code = w.charCodeAt(0);
+        if (code < 256) {
+          writeBits(numBits, 0);
+          writeBits(8, code);
+        } else {
+          writeBits(numBits, 1);
+          writeBits(16, code);
+        }
+        decrementEnlargeIn();
+        toCreate.delete(w);
+      } else {
+        writeBits(numBits, dictionary.get(w));
+      }
+      decrementEnlargeIn();
+    };
+
+    let w = '';
+    for (const c of input.split('')) {
+      if (!dictionary.has(c)) {
+        dictionary.set(c, dictSize++);
+        toCreate.add(c);
+      }
+      const wc = w + c;
+      if (dictionary.has(wc)) {
+        w = wc;
+      } else {
+        writeWord(w);
+        dictionary.set(wc, dictSize++);
+        w = c;
+      }
+    }
+    if (w !== '') writeWord(w);
+
+    // Mark the end of the stream, and flush the last character. This matches
+    // the reference implementation, which always emits a final character.
+    writeBits(numBits, 2);
+    for (;;) {
+      outputValue <<= 1;
+      if (outputPosition == bitsPerChar - 1) {
+        output.push(charFromInt(outputValue));
+        break;
+      }
+      outputPosition++;
+    }
+
+    return output.join('');
+  }
+
+  static _decompress(length, resetValue, getNextValue) {
+    const dictionary = [0, 1, 2];
+    let dictSize = 4;
+    let numBits = 3;
+    let enlargeIn = 4;
+
+    let value = getNextValue(0);
+    let position = resetValue;
+    let index = 1;
+    const readBits = (n) => {
+      let bits = 0;
+      for (let i = 0; i < n; i++) {
+        if (value & position) bits |= 1 << i;
+        position >>= 1;
+        if (position == 0) {
+          position = resetValue;
+          value = getNextValue(index++);
+        }
+      }
+      return bits;
+    };
+
+    let c;
+    switch (readBits(2)) {
+      case 0:
+        c = String.fromCharCode(readBits(8));
+        break;
+      case 1:
+        c = String.fromCharCode(readBits(16));
+        break;
+      default:
+        return '';
+    }
+    dictionary[3] = c;
+    let w = c;
+    const result = [c];
+
+    while (true) {
+      if (index > length) return '';
+
+      let code = readBits(numBits);
+      switch (code) {
+        case 0:
+          dictionary[dictSize++] = String.fromCharCode(readBits(8));
+          code = dictSize - 1;
+          enlargeIn--;
+          break;
+        case 1:
+          dictionary[dictSize++] = String.fromCharCode(readBits(16));
+          code = dictSize - 1;
+          enlargeIn--;
+          break;
+        case 2:
+          return result.join('');
+      }
+
+      if (enlargeIn == 0) {
+        enlargeIn = 1 << numBits;
+        numBits++;
+      }
+
+      let entry;
+      if (code < dictSize && dictionary[code] !== undefined) {
+        entry = dictionary[code];
+      } else if (code === dictSize) {
+        entry = w + w[0];
+      } else {
+        return null;
+      }
+      result.push(entry);
+
+      dictionary[dictSize++] = w + entry[0];
+      enlargeIn--;
+      w = entry;
+
+      if (enlargeIn == 0) {
+        enlargeIn = 1 << numBits;
+        numBits++;
+      }
+    }
+  }
+}
+
+// Parses f-puzzles and SudokuPad links (or their JSON) into constraints.
+// Features which can't be represented are reported rather than dropped.
+class ExternalPuzzleParser {
+  // Returns null if the text isn't a link or puzzle from another tool.
+  // Otherwise returns { constraint, unsupported } where `unsupported` lists
+  // the features which weren't imported.
+  static parse(rawText) {
+    const text = rawText.trim();
+
+    if (text.startsWith('{')) {
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (e) {
+        return null;
+      }
+      return this._parseJson(data);
+    }
+
+    const payload = this._extractPayload(text);
+    if (payload === null) return null;
+
+    const json = this._decompress(payload.data);
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch (e) {
+      throw (payload.format != 'fpuzzles'
+        ? 'Unsupported SudokuPad puzzle encoding.'
+        : 'Could not decode the puzzle in the link.');
+    }
+    return this._parseJson(data);
+  }
+
+  // Find the compressed puzzle in a link. Returns { format, data } or null.
+  static _extractPayload(text) {
+    if (/\s/.test(text)) return null;
+
+    let url = null;
+    try {
+      url = new URL(text);
+    } catch (e) {
+      // Not a link, but it may be a bare f-puzzles payload.
+      // `N4Ig` is how every compressed f-puzzles JSON object starts.
+      if (text.startsWith('N4Ig')) return { format: 'fpuzzles', data: text };
+      return null;
+    }
+
+    // f-puzzles: https://www.f-puzzles.com/?load=<data>
+    const load = url.searchParams.get('load');
+    if (load) return { format: 'fpuzzles', data: load };
+
+    if (!/(^|\.)(sudokupad\.app|crackingthecryptic\.com)$/.test(url.hostname)) {
+      return null;
+    }
+
+    // SudokuPad: https://sudokupad.app/<id>, or
+    // https://sudokupad.app/?puzzleid=<id>, where the id is either
+    // `fpuzzles<data>`, `scl<data>` or the name of a puzzle on the server.
+    let id = url.searchParams.get('puzzleid');
+    id ??= decodeURIComponent(url.pathname.replace(/^.*\//, ''));
+    for (const format of ['fpuzzles', 'scl', 'ctc']) {
+      if (id.startsWith(format)) {
+        return { format, data: id.substring(format.length) };
+      }
+    }
+    throw ('This SudokuPad link refers to a puzzle stored on the SudokuPad ' +
+      'server. Use a link which contains the puzzle data instead.');
+  }
+
+  static _decompress(data) {
+    // Links may have '+' replaced by spaces when they are decoded.
+    data = data.replaceAll(' ', '+');
+    const uriSafe = /[-$]/.test(data);
+    const json = uriSafe
+      ? LZString.decompressFromEncodedURIComponent(data)
+      : LZString.decompressFromBase64(data);
+    if (!json) throw ('Could not decode the puzzle in the link.');
+    return json;
+  }
+
+  static _parseJson(data) {
+    if (!isPlainObject(data)) throw ('Puzzle data must be a JSON object.');
+    if ('size' in data && 'grid' in data) {
+      return this.FPuzzles.parse(data);
+    }
+    if ('cells' in data) {
+      return this.SudokuPad.parse(data);
+    }
+    throw ('Unrecognized puzzle format.');
+  }
+
+  static _shapeForSize(size) {
+    const shape = GridShape.fromGridSize(size);
+    if (!shape) throw ('Unsupported grid size: ' + size);
+    return shape;
+  }
+
+  // Returns the jigsaw constraints if the regions differ from the default
+  // boxes. `regions` is a list of regions, each a list of cell indexes.
+  static _regionConstraints(regions, shape, unsupported) {
+    const defaultRegions = new Set(
+      SudokuConstraintBase.boxRegions(shape).map(
+        r => r.slice().sort((a, b) => a - b).join()));
+    if (regions.length == defaultRegions.size &&
+      regions.every(r => defaultRegions.has(
+        r.slice().sort((a, b) => a - b).join()))) {
+      return [];
+    }
+
+    if (!regions.length) return [new SudokuConstraint.NoBoxes()];
+    if (regions.length != shape.gridSize ||
+      regions.some(r => r.length != shape.gridSize)) {
+      unsupported.push('regions which don\'t cover the grid');
+      return [];
+    }
+
+    const baseCharCode = SudokuParser.shapeToBaseCharCode(shape);
+    const grid = Array(shape.numCells).fill('-');
+    regions.forEach((cells, i) => {
+      for (const cell of cells) grid[cell] = String.fromCharCode(baseCharCode + i);
+    });
+    return [
+      new SudokuConstraint.Jigsaw(grid.join('')),
+      new SudokuConstraint.NoBoxes(),
+    ];
+  }
+
+  static _makeResult(shape, constraints, unsupported) {
+    return {
+      constraint: new SudokuConstraint.Set([
+        new SudokuConstraint.Shape(shape.name),
+        ...constraints,
+      ]),
+      unsupported: [...new Set(unsupported)],
+    };
+  }
+
+  // https://www.f-puzzles.com/
+  static FPuzzles = class FPuzzles {
+    // Keys which don't describe a constraint, or are handled separately.
+    static IGNORED_KEYS = new Set([
+      'size', 'grid', 'title', 'author', 'ruleset', 'solution',
+      'highlightConflicts', 'disabledlogic', 'truecandidatesoptions',
+      'negative', 'nonconsecutive',
+    ]);
+
+    // Lines where each line is a separate constraint with just the cells.
+    static LINE_TYPES = {
+      'thermometer': 'Thermo',
+      'palindrome': 'Palindrome',
+      'renban': 'Renban',
+      'whispers': 'Whisper',
+      'betweenline': 'Between',
+      'regionsumline': 'RegionSumLine',
+      'entropicline': 'Entropic',
+    };
+
+    // Arguments which come before the cells, for line types which have them.
+    // f-puzzles whispers always have a difference of 5.
+    static LINE_ARGS = {
+      'whispers': [5],
+    };
+
+    // Puzzle info, which is kept as text.
+    static INFO_TYPES = {
+      'title': 'Title',
+      'author': 'Author',
+      'ruleset': 'Rules',
+    };
+
+    // Global constraints which are just flags.
+    static FLAG_TYPES = {
+      'diagonal+': ['Diagonal', 1],
+      'diagonal-': ['Diagonal', -1],
+      'antiknight': ['AntiKnight'],
+      'antiking': ['AntiKing'],
+      'disjointgroups': ['DisjointSets'],
+    };
+
+    static parse(data) {
+      const shape = ExternalPuzzleParser._shapeForSize(+data.size);
+      const constraints = [];
+      const unsupported = [];
+      const cellId = (id) => this._parseCell(id, shape);
+
+      constraints.push(...this._parseGrid(data.grid, shape, unsupported));
+
+      for (const [key, type] of Object.entries(this.INFO_TYPES)) {
+        if (typeof data[key] === 'string' && data[key].trim()) {
+          constraints.push(SudokuConstraint[type].fromText(data[key].trim()));
+        }
+      }
+
+      const negative = data.negative || [];
+      if (data.nonconsecutive && negative.includes('ratio')) {
+        constraints.push(new SudokuConstraint.StrictKropki());
+      } else {
+        if (data.nonconsecutive) {
+          constraints.push(new SudokuConstraint.AntiConsecutive());
+        }
+        if (negative.includes('ratio')) {
+          unsupported.push('negative ratio (without nonconsecutive)');
+        }
+      }
+      if (negative.includes('xv')) {
+        constraints.push(new SudokuConstraint.StrictXV());
+      }
+
+      const outsideClues = new Map();
+
+      for (const [key, items] of Object.entries(data)) {
+        if (this.IGNORED_KEYS.has(key)) continue;
+        if (!items) continue;
+
+        if (key in this.FLAG_TYPES) {
+          const [type, ...args] = this.FLAG_TYPES[key];
+          constraints.push(new SudokuConstraint[type](...args));
+          continue;
+        }
+
+        if (key in this.LINE_TYPES) {
+          const type = this.LINE_TYPES[key];
+          const args = this.LINE_ARGS[key] || [];
+          for (const item of items) {
+            for (const line of item.lines) {
+              constraints.push(
+                new SudokuConstraint[type](...args, ...line.map(cellId)));
+            }
+          }
+          continue;
+        }
+
+        if (!Array.isArray(items)) {
+          unsupported.push(key);
+          continue;
+        }
+        for (const item of items) {
+          switch (key) {
+            case 'killercage':
+              constraints.push(new SudokuConstraint.Cage(
+                +item.value || 0, ...item.cells.map(cellId)));
+              break;
+            case 'extraregion':
+              constraints.push(new SudokuConstraint.AllDifferent(
+                ...item.cells.map(cellId)));
+              break;
+            case 'arrow':
+              constraints.push(this._parseArrow(item, cellId, unsupported));
+              break;
+            case 'difference':
+              if (item.value && +item.value != 1) {
+                unsupported.push(`difference dot with value ${item.value}`);
+              } else {
+                constraints.push(new SudokuConstraint.WhiteDot(
+                  ...item.cells.map(cellId)));
+              }
+              break;
+            case 'ratio':
+              if (item.value && +item.value != 2) {
+                unsupported.push(`ratio dot with value ${item.value}`);
+              } else {
+                constraints.push(new SudokuConstraint.BlackDot(
+                  ...item.cells.map(cellId)));
+              }
+              break;
+            case 'xv':
+              if (item.value == 'X' || item.value == 'V') {
+                constraints.push(new SudokuConstraint[item.value](
+                  ...item.cells.map(cellId)));
+              } else {
+                unsupported.push(`xv with value ${item.value}`);
+              }
+              break;
+            case 'quadruple':
+              constraints.push(new SudokuConstraint.Quad(
+                this._topLeftCell(item.cells, shape),
+                ...item.values));
+              break;
+            case 'clone':
+              // Two cell palindromes force the cells to be equal.
+              item.cells.forEach((c, i) => {
+                constraints.push(new SudokuConstraint.Palindrome(
+                  cellId(c), cellId(item.cloneCells[i])));
+              });
+              break;
+            case 'odd':
+            case 'even':
+              constraints.push(this._parityGivens(key, cellId(item.cell), shape));
+              break;
+            case 'littlekiller':
+              constraints.push(this._parseLittleKiller(item, shape, unsupported));
+              break;
+            case 'sandwichsum':
+            case 'xsum':
+            case 'skyscraper':
+              this._addOutsideClue(key, item, shape, outsideClues);
+              break;
+            default:
+              unsupported.push(key);
+          }
+        }
+      }
+
+      constraints.push(...outsideClues.values());
+
+      return ExternalPuzzleParser._makeResult(
+        shape, constraints.filter(c => c), unsupported);
+    }
+
+    static _parseCell(id, shape) {
+      const match = id.match(/^R(\d+)C(\d+)$/i);
+      if (!match) throw ('Invalid cell: ' + id);
+      return shape.makeCellId(+match[1] - 1, +match[2] - 1);
+    }
+
+    static _parseGrid(grid, shape, unsupported) {
+      const constraints = [];
+      const [boxWidth, boxHeight] = [shape.boxWidth, shape.boxHeight];
+      const givens = [];
+      const regions = new Map();
+      for (let row = 0; row < shape.gridSize; row++) {
+        for (let col = 0; col < shape.gridSize; col++) {
+          const cell = grid[row]?.[col] || {};
+          const cellIndex = shape.cellIndex(row, col);
+
+          if (cell.given && cell.value) {
+            givens.push(shape.makeValueId(cellIndex, shape.gridValue(+cell.value)));
+          } else if (cell.givenPencilMarks?.length) {
+            givens.push(
+              shape.makeCellIdFromIndex(cellIndex) + '_' +
+              cell.givenPencilMarks.join('_'));
+          }
+
+          let region = cell.region;
+          if (region === undefined) {
+            region = shape.noDefaultBoxes ? null : (
+              (row / boxHeight | 0) * (shape.gridSize / boxWidth) +
+              (col / boxWidth | 0));
+          }
+          if (region === null || region < 0) continue;
+          if (!regions.has(region)) regions.set(region, []);
+          regions.get(region).push(cellIndex);
+        }
+      }
+      if (givens.length) constraints.push(new SudokuConstraint.Givens(...givens));
+      constraints.push(...ExternalPuzzleParser._regionConstraints(
+        [...regions.values()], shape, unsupported));
+      return constraints;
+    }
+
+    static _topLeftCell(cells, shape) {
+      const parsed = cells.map(
+        c => shape.parseCellId(this._parseCell(c, shape)));
+      return shape.makeCellId(
+        Math.min(...parsed.map(p => p.row)),
+        Math.min(...parsed.map(p => p.col)));
+    }
+
+    static _parityGivens(type, cellId, shape) {
+      const values = [];
+      for (let v = shape.minValue; v <= shape.maxValue; v++) {
+        if ((v % 2 == 1) == (type == 'odd')) values.push(v);
+      }
+      return new SudokuConstraint.Givens([cellId, ...values].join('_'));
+    }
+
+    static _parseArrow(item, cellId, unsupported) {
+      const circle = item.cells.map(cellId);
+      // Lines start in the circle, and all lines sum to the circle.
+      const lineCells = item.lines.flatMap(
+        line => line.map(cellId).filter(c => !circle.includes(c)));
+      switch (circle.length) {
+        case 1:
+          return new SudokuConstraint.Arrow(...circle, ...lineCells);
+        case 2:
+          return new SudokuConstraint.PillArrow(...circle, ...lineCells);
+        default:
+          unsupported.push(`arrow with a ${circle.length} cell pill`);
+          return null;
+      }
+    }
+
+    static _parseLittleKiller(item, shape, unsupported) {
+      const DIRECTIONS = { 'UL': [-1, -1], 'UR': [-1, 1], 'DL': [1, -1], 'DR': [1, 1] };
+      const [dr, dc] = DIRECTIONS[item.direction] || [0, 0];
+      const match = item.cell.match(/^R(-?\d+)C(-?\d+)$/i);
+      let row = +match[1] - 1 + dr;
+      let col = +match[2] - 1 + dc;
+      const cells = new Set();
+      while (row >= 0 && col >= 0 && row < shape.gridSize && col < shape.gridSize) {
+        cells.add(shape.makeCellId(row, col));
+        row += dr;
+        col += dc;
+      }
+
+      // Find the matching diagonal, which may be defined from the other end.
+      const cellMap = SudokuConstraint.LittleKiller.cellMap(shape);
+      for (const [id, diagonal] of Object.entries(cellMap)) {
+        if (diagonal.length == cells.size && diagonal.every(c => cells.has(c))) {
+          return new SudokuConstraint.LittleKiller(+item.value, id);
+        }
+      }
+      unsupported.push(`little killer at ${item.cell}`);
+      return null;
+    }
+
+    // Outside clues are given as the cell just outside the grid.
+    static _addOutsideClue(key, item, shape, outsideClues) {
+      const match = item.cell.match(/^R(\d+)C(\d+)$/i);
+      const [row, col] = [+match[1], +match[2]];
+      const gridSize = shape.gridSize;
+      const rowCol = (col == 0 || col > gridSize) ? `R${row}` : `C${col}`;
+      const isForward = (row == 0 || col == 0);
+
+      const mapKey = `${key}|${rowCol}`;
+      if (key == 'sandwichsum') {
+        outsideClues.set(
+          mapKey, new SudokuConstraint.Sandwich(+item.value, rowCol));
+        return;
+      }
+
+      // Clues from both ends of the line are stored in the same constraint.
+      const type = key == 'xsum' ? 'XSum' : 'Skyscraper';
+      const values = outsideClues.get(mapKey)?.args.slice(1) || ['', ''];
+      values[isForward ? 0 : 1] = +item.value;
+      outsideClues.set(mapKey, new SudokuConstraint[type](rowCol, ...values));
+    }
+  }
+
+  // SudokuPad's own puzzle format. Only the parts which don't rely on
+  // interpreting the drawing (givens, regions and cages) are supported.
+  static SudokuPad = class SudokuPad {
+    static IGNORED_KEYS = new Set(['id', 'cellSize', 'settings', 'metadata']);
+
+    static parse(data) {
+      const shape = ExternalPuzzleParser._shapeForSize(data.cells.length);
+      const constraints = [];
+      const unsupported = [];
+
+      const givens = [];
+      data.cells.forEach((row, r) => row.forEach((cell, c) => {
+        if (cell?.value !== undefined && cell.value !== '') {
+          givens.push(shape.makeValueId(
+            shape.cellIndex(r, c), shape.gridValue(+cell.value)));
+        }
+      }));
+      if (givens.length) constraints.push(new SudokuConstraint.Givens(...givens));
+
+      if (data.regions) {
+        constraints.push(...ExternalPuzzleParser._regionConstraints(
+          data.regions.map(cells => cells.map(([r, c]) => shape.cellIndex(r, c))),
+          shape, unsupported));
+      }
+
+      for (const cage of data.cages || []) {
+        // Cages are also used to store metadata such as the title.
+        if (!cage.cells?.length) continue;
+        const sum = cage.value ?? '';
+        if (sum !== '' && !Number.isInteger(+sum)) {
+          unsupported.push('cage with a non-numeric value');
+          continue;
+        }
+        constraints.push(new SudokuConstraint.Cage(
+          +sum, ...cage.cells.map(([r, c]) => shape.makeCellId(r, c))));
+      }
+
+      for (const [key, value] of Object.entries(data)) {
+        if (['cells', 'regions', 'cages'].includes(key)) continue;
+        if (this.IGNORED_KEYS.has(key)) continue;
+        if (Array.isArray(value) && !value.length) continue;
+        unsupported.push(key);
+      }
+
+      return ExternalPuzzleParser._makeResult(shape, constraints, unsupported);
+    }
+  }
+}
+
+// Writes puzzles as f-puzzles JSON, which can be loaded by both f-puzzles and
+// SudokuPad.
+class ExternalPuzzleExporter {
+  static FPUZZLES_URL = 'https://www.f-puzzles.com/?load=';
+  static SUDOKUPAD_URL = 'https://sudokupad.app/fpuzzles';
+
+  // Color for constraints which are only exported as a drawing.
+  static DRAWING_COLOR = '#C060C0';
+
+  static fPuzzlesLink(puzzle) {
+    return this.FPUZZLES_URL + this._encode(puzzle);
+  }
+
+  static sudokuPadLink(puzzle) {
+    return this.SUDOKUPAD_URL + this._encode(puzzle);
+  }
+
+  static _encode(puzzle) {
+    return encodeURIComponent(
+      LZString.compressToBase64(JSON.stringify(puzzle)));
+  }
+
+  // Returns { puzzle, warnings }, where `warnings` lists the constraints which
+  // have no f-puzzles equivalent. Where possible these are still drawn, so
+  // that the puzzle can be solved with the rules written out separately.
+  static toFPuzzles(constraint) {
+    const shape = constraint.getShape();
+    const gridSize = shape.gridSize;
+    if (shape.subGrids) {
+      throw ('Composite layouts can\'t be exported.');
+    }
+    if (shape.valueOffset || shape.numValues != gridSize) {
+      throw (`Only grids with the values 1-${gridSize} can be exported.`);
+    }
+
+    const [constraints, metaConstraints] = constraint.toLists();
+    const metaConfig = SudokuConstraintBase.getMetaConfig(metaConstraints);
+
+    const puzzle = {
+      size: gridSize,
+      grid: [...Array(gridSize)].map(
+        () => [...Array(gridSize)].map(() => ({}))),
+    };
+    const warnings = [];
+    const add = (key, item) => (puzzle[key] ||= []).push(item);
+    const cellId = (id) => {
+      const { row, col } = shape.parseCellId(id);
+      return this._cellName(row, col);
+    };
+    const indexCellId = (i) => this._cellName(...shape.splitCellIndex(i));
+    const drawLine = (cells) => add('line', {
+      lines: [cells.map(cellId)],
+      outlineC: this.DRAWING_COLOR,
+      width: 0.3,
+    });
+
+    if (metaConfig.has('StrictKropki')) {
+      puzzle.nonconsecutive = true;
+      (puzzle.negative ||= []).push('ratio');
+    }
+    if (metaConfig.has('StrictXV')) {
+      (puzzle.negative ||= []).push('xv');
+    }
+
+    const { LINE_TYPES, FLAG_TYPES, INFO_TYPES } = ExternalPuzzleParser.FPuzzles;
+    for (const [key, type] of Object.entries(INFO_TYPES)) {
+      const c = metaConstraints.find(c => c.type === type);
+      if (c) puzzle[key] = c.text;
+    }
+    const lineTypes = Object.fromEntries(
+      Object.entries(LINE_TYPES).map(([key, type]) => [type, key]));
+    const flagTypes = Object.fromEntries(
+      Object.entries(FLAG_TYPES).map(([key, type]) => [type.join(), key]));
+
+    let jigsaw = null;
+    for (const c of constraints) {
+      switch (c.type) {
+        case 'Givens':
+          for (const valueId of c.values) {
+            const { row, col, values } = shape.parseValueId(valueId);
+            const cell = puzzle.grid[row][col];
+            if (values.length == 1) {
+              cell.value = values[0];
+              cell.given = true;
+            } else {
+              cell.givenPencilMarks = values;
+            }
+          }
+          break;
+        case 'Jigsaw':
+          jigsaw = c.grid;
+          break;
+        case 'Whisper':
+          if (c.difference != 5) {
+            warnings.push(`Whisper with difference ${c.difference}`);
+            drawLine(c.cells);
+            break;
+          }
+        // Fall through.
+        case 'Thermo':
+        case 'Palindrome':
+        case 'Renban':
+        case 'Between':
+        case 'RegionSumLine':
+        case 'Entropic':
+          add(lineTypes[c.type], { lines: [c.cells.map(cellId)] });
+          break;
+        case 'Arrow':
+          add('arrow', {
+            cells: [cellId(c.cells[0])],
+            lines: c.cells.length > 1 ? [c.cells.map(cellId)] : [],
+          });
+          break;
+        case 'PillArrow':
+          add('arrow', {
+            cells: c.cells.slice(0, 2).map(cellId),
+            lines: c.cells.length > 2 ? [c.cells.slice(1).map(cellId)] : [],
+          });
+          break;
+        case 'Cage':
+          add('killercage', {
+            cells: c.cells.map(cellId),
+            ...(+c.sum ? { value: String(c.sum) } : {}),
+          });
+          break;
+        case 'Sum':
+          warnings.push('Sum');
+          add('cage', {
+            cells: c.cells.map(cellId),
+            value: String(c.sum),
+            outlineC: this.DRAWING_COLOR,
+            fontC: this.DRAWING_COLOR,
+          });
+          break;
+        case 'AllDifferent':
+          add('extraregion', { cells: c.cells.map(cellId) });
+          break;
+        case 'Windoku':
+          for (const cells of SudokuConstraint.Windoku.regions(shape)) {
+            add('extraregion', { cells: cells.map(indexCellId) });
+          }
+          break;
+        case 'WhiteDot':
+          add('difference', { cells: c.cells.map(cellId) });
+          break;
+        case 'BlackDot':
+          add('ratio', { cells: c.cells.map(cellId) });
+          break;
+        case 'X':
+        case 'V':
+          add('xv', { cells: c.cells.map(cellId), value: c.type });
+          break;
+        case 'Quad':
+          add('quadruple', {
+            cells: c.cells().map(cellId),
+            values: c.values.map(v => +v),
+          });
+          break;
+        case 'Diagonal':
+        case 'AntiKnight':
+        case 'AntiKing':
+        case 'DisjointSets':
+          puzzle[flagTypes[[c.type, ...c.args].join()]] = true;
+          break;
+        case 'AntiConsecutive':
+          puzzle.nonconsecutive = true;
+          break;
+        case 'LittleKiller':
+          add('littlekiller', this._littleKiller(c, shape, cellId));
+          break;
+        case 'Sandwich':
+          add('sandwichsum', {
+            cell: this._outsideCell(c.id, true, gridSize),
+            value: String(c.sum),
+          });
+          break;
+        case 'XSum':
+        case 'Skyscraper':
+          c.values().forEach((value, i) => {
+            if (!value) return;
+            add(c.type.toLowerCase(), {
+              cell: this._outsideCell(c.rowCol, i == 0, gridSize),
+              value: String(value),
+            });
+          });
+          break;
+        case 'Binary':
+        case 'BinaryX':
+          for (const group of SudokuConstraint.Binary.parseGroups(
+            c.items, true)) {
+            warnings.push(
+              'Custom constraint' + (group.name ? ` "${group.name}"` : ''));
+            drawLine(group.cells);
+            if (group.name) {
+              add('text', {
+                cells: [cellId(group.cells[0])],
+                value: group.name,
+                fontC: this.DRAWING_COLOR,
+                size: 0.3,
+              });
+            }
+          }
+          break;
+        case 'Modular':
+        case 'Lockout':
+        case 'Zipper':
+        case 'SumLine':
+        case 'DoubleArrow':
+          warnings.push(c.type);
+          drawLine(c.cells);
+          break;
+        case 'Priority':
+          // Only affects the solver.
+          break;
+        default:
+          warnings.push(c.type);
+      }
+    }
+
+    this._setRegions(puzzle, shape, jigsaw, metaConfig.has('NoBoxes'));
+
+    return { puzzle, warnings: [...new Set(warnings)] };
+  }
+
+  // f-puzzles only stores regions which differ from its default boxes.
+  static _setRegions(puzzle, shape, jigsaw, noBoxes) {
+    const gridSize = shape.gridSize;
+    let regionOf = null;
+    if (jigsaw) {
+      const regionIds = new Map();
+      regionOf = (i) => {
+        if (!regionIds.has(jigsaw[i])) regionIds.set(jigsaw[i], regionIds.size);
+        return regionIds.get(jigsaw[i]);
+      };
+    } else if (noBoxes || shape.noDefaultBoxes) {
+      regionOf = () => null;
+    } else if (shape.boxWidth != GridShape.defaultBoxDimensions(gridSize)[0]) {
+      const boxes = SudokuConstraintBase.boxRegions(shape);
+      regionOf = (i) => boxes.findIndex(cells => cells.includes(i));
+    }
+
+    if (regionOf) {
+      for (let i = 0; i < shape.numCells; i++) {
+        const [row, col] = shape.splitCellIndex(i);
+        puzzle.grid[row][col].region = regionOf(i);
+      }
+    }
+
+    // Boxes as well as a jigsaw can only be added as extra regions.
+    if (jigsaw && !noBoxes) {
+      for (const cells of SudokuConstraintBase.boxRegions(shape)) {
+        (puzzle.extraregion ||= []).push({
+          cells: cells.map(i => this._cellName(...shape.splitCellIndex(i))),
+        });
+      }
+    }
+  }
+
+  // f-puzzles cells are 1-indexed, and may be outside the grid.
+  static _cellName(row, col) {
+    return `R${row + 1}C${col + 1}`;
+  }
+
+  // Outside clues are attached to the cell just outside the grid.
+  static _outsideCell(rowCol, isForward, gridSize) {
+    const index = +rowCol.substring(1) - 1;
+    const edge = isForward ? -1 : gridSize;
+    return rowCol[0].toUpperCase() == 'R'
+      ? this._cellName(index, edge) : this._cellName(edge, index);
+  }
+
+  static _littleKiller(constraint, shape, cellId) {
+    const DIRECTIONS = { '-1,-1': 'UL', '-1,1': 'UR', '1,-1': 'DL', '1,1': 'DR' };
+    const cells = SudokuConstraint.LittleKiller.cellMap(shape)[constraint.id];
+    const [first, second] = cells.map(c => shape.parseCellId(c));
+    const [dr, dc] = [second.row - first.row, second.col - first.col];
+    return {
+      cell: this._cellName(first.row - dr, first.col - dc),
+      cells: cells.map(cellId),
+      direction: DIRECTIONS[[dr, dc].join()],
+      value: String(constraint.sum),
+    };
+  }
+}
@@ -0,0 +1,124 @@
+// Generates puzzles for the current constraints, and loads the result as
+// givens.
+class GeneratorPanel {
+  // URL parameter used to regenerate a puzzle on page load.
+  // Format: <seed>-<symmetry>-<targetNumGivens>
+  static URL_PARAM_NAME = 'gen';
+
+  constructor(constraintManager) {
+    this._constraintManager = constraintManager;
+    this._container = document.getElementById('generator-container');
+    this._form = document.getElementById('generator-form');
+    this._status = document.getElementById('generator-status');
+    this._link = document.getElementById('generator-link');
+    this._runButton = document.getElementById('generator-run-button');
+    this._abortButton = document.getElementById('generator-abort-button');
+
+    this._solver = null;
+
+    document.getElementById('generator-open-button').onclick = () => {
+      this._container.classList.toggle('hidden');
+    };
+    document.getElementById('generator-close-button').onclick = () => {
+      this._container.classList.add('hidden');
+    };
+
+    autoSaveField(this._form['generator-symmetry']);
+    autoSaveField(this._form['generator-target']);
+
+    this._form.onsubmit = (e) => {
+      e.preventDefault();
+      this._generate();
+      return false;
+    };
+    this._abortButton.onclick = () => this._solver?.terminate();
+
+    this._setRunning(false);
+    this._loadFromUrl();
+  }
+
+  _loadFromUrl() {
+    const url = new URL(window.location);
+    const param = url.searchParams.get(GeneratorPanel.URL_PARAM_NAME);
+    if (param === null) return;
+
+    // Remove the parameter so that it doesn't stick around once the puzzle
+    // is edited.
+    url.searchParams.delete(GeneratorPanel.URL_PARAM_NAME);
+    window.history.replaceState(null, null, url);
+
+    const [seed, symmetry, target] = param.split('-');
+    this._form['generator-seed'].value = seed;
+    this._form['generator-symmetry'].value = symmetry;
+    this._form['generator-target'].value = +target || '';
+    this._container.classList.remove('hidden');
+    this._generate();
+  }
+
+  _setRunning(isRunning) {
+    this._runButton.disabled = isRunning;
+    this._abortButton.disabled = !isRunning;
+  }
+
+  async _makeLink(constraints, options) {
+    const url = new URL(window.location);
+    url.search = '';
+    url.searchParams.set(
+      'q', await ShareUrlCodec.encode(constraints.toString()));
+    url.searchParams.set(
+      GeneratorPanel.URL_PARAM_NAME,
+      [options.seed, options.symmetry, options.targetNumGivens].join('-'));
+    return url.toString();
+  }
+
+  async _generate() {
+    const form = this._form;
+    if (form['generator-seed'].value === '') {
+      form['generator-seed'].value = Math.floor(Math.random() * 1000000);
+    }
+    const options = {
+      seed: +form['generator-seed'].value,
+      symmetry: form['generator-symmetry'].value,
+      targetNumGivens: +form['generator-target'].value || 0,
+    };
+
+    const constraints = this._constraintManager.getNonGivenConstraints();
+    const shape = constraints.getShape();
+
+    this._link.classList.add('hidden');
+    this._status.textContent = 'Generating...';
+    this._setRunning(true);
+
+    let result = undefined;
+    try {
+      this._solver = await SudokuBuilder.buildInWorker(constraints, (s) => {
+        if (s.extra?.generator) {
+          this._status.textContent = (
+            `Generating... (${s.extra.generator.numGivens} givens)`);
+        }
+      });
+      result = await this._solver.generatePuzzle(options);
+    } catch (e) {
+      this._status.textContent = (
+        e.toString().startsWith('Aborted') ? 'Aborted' : e.toString());
+    } finally {
+      this._solver?.terminate();
+      this._solver = null;
+      this._setRunning(false);
+    }
+
+    if (result === undefined) return;
+    if (result === null) {
+      this._status.textContent = 'The current constraints have no solution.';
+      return;
+    }
+
+    this._constraintManager.replaceGivens(
+      result.givens.map(c => shape.makeValueId(c, result.solution[c])));
+
+    this._status.textContent = (
+      `Generated puzzle with ${result.givens.length} givens.`);
+    this._link.href = await this._makeLink(constraints, options);
+    this._link.classList.remove('hidden');
+  }
+}
@@ -0,0 +1,196 @@
+// Saves the grid as a standalone SVG or PNG image, for printing and
+// publishing.
+class ImageExportPanel {
+  // Groups which only make sense on the page.
+  static INTERACTIVE_GROUPS = [
+    'highlight-group', 'diff-group', 'play-group', 'text-info-group',
+    'debug-candidate-group',
+  ];
+  static _INFO_PADDING = 15;
+  static _TITLE_FONT_SIZE = 20;
+  static _TEXT_FONT_SIZE = 14;
+  static _LINE_SPACING = 1.3;
+  // Approximate width of a character, relative to the font size.
+  static _CHAR_WIDTH = 0.55;
+
+  constructor(displayContainer, constraintManager) {
+    this._displayContainer = displayContainer;
+    this._constraintManager = constraintManager;
+    this._container = document.getElementById('image-export-container');
+    this._form = document.forms['image-export-form'];
+    this._error = document.getElementById('image-export-error');
+
+    document.getElementById('image-export-open-button').onclick = () => {
+      this._container.classList.remove('hidden');
+    };
+    document.getElementById('image-export-close-button').onclick = () => {
+      this._container.classList.add('hidden');
+    };
+    document.getElementById('image-export-svg-button').onclick = () => {
+      this._run(async () => {
+        const text = new XMLSerializer().serializeToString(this._makeSvg());
+        this._download(
+          new Blob([text], { type: 'image/svg+xml' }), 'svg');
+      });
+    };
+    document.getElementById('image-export-png-button').onclick = () => {
+      this._run(async () => {
+        const width = +this._form['image-export-width'].value;
+        if (!(width >= 100 && width <= 8000)) {
+          throw ('PNG width must be between 100 and 8000 pixels.');
+        }
+        this._download(await this._makePng(this._makeSvg(), width), 'png');
+      });
+    };
+  }
+
+  async _run(fn) {
+    this._error.textContent = '';
+    try {
+      await fn();
+    } catch (e) {
+      this._error.textContent = e.toString();
+    }
+  }
+
+  _makeSvg() {
+    const form = this._form;
+    const content = form['image-export-content'].value;
+
+    const excludedGroups = [...ImageExportPanel.INTERACTIVE_GROUPS];
+    if (content === 'givens') excludedGroups.push('solution-group');
+    const grid = this._displayContainer.exportSvg(excludedGroups);
+    if (content === 'solution') {
+      // Only keep cells which have been solved.
+      for (const elem of grid.querySelectorAll(
+        '#solution-group .cell-multi-value')) {
+        elem.remove();
+      }
+    }
+
+    const width = +grid.getAttribute('width');
+    const info = form['image-export-info'].checked ? this._makeInfo(width) : null;
+    const infoHeight = info ? info.height : 0;
+    const height = +grid.getAttribute('height') + infoHeight;
+
+    const svg = createSvgElement('svg');
+    svg.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+    svg.setAttribute('width', width);
+    svg.setAttribute('height', height);
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+
+    const background = createSvgElement('rect');
+    background.setAttribute('width', width);
+    background.setAttribute('height', height);
+    background.setAttribute('fill', 'white');
+    svg.append(background);
+
+    if (info) svg.append(info.elem);
+    grid.setAttribute('y', infoHeight);
+    svg.append(grid);
+
+    return svg;
+  }
+
+  // The title, author and rules as SVG text, wrapped to `width`.
+  // Returns null if the puzzle has none of them.
+  _makeInfo(width) {
+    const [_, metaConstraints] = (
+      this._constraintManager.getConstraints().toLists());
+    const textOf = (type) => metaConstraints.find(c => c.type === type)?.text;
+    const title = textOf('Title');
+    const author = textOf('Author');
+    const rules = textOf('Rules');
+    if (!title && !author && !rules) return null;
+
+    const padding = ImageExportPanel._INFO_PADDING;
+    const text = createSvgElement('text');
+    text.setAttribute('font-family', 'sans-serif');
+    let y = padding;
+    const addLines = (str, fontSize, fontWeight) => {
+      const maxChars = Math.floor(
+        (width - padding * 2) / (fontSize * ImageExportPanel._CHAR_WIDTH));
+      for (const line of ImageExportPanel._wrapText(str, maxChars)) {
+        y += fontSize * ImageExportPanel._LINE_SPACING;
+        const tspan = createSvgElement('tspan');
+        tspan.setAttribute('x', padding);
+        tspan.setAttribute('y', y);
+        tspan.setAttribute('font-size', fontSize);
+        if (fontWeight) tspan.setAttribute('font-weight', fontWeight);
+        tspan.textContent = line;
+        text.append(tspan);
+      }
+    };
+
+    if (title) addLines(title, ImageExportPanel._TITLE_FONT_SIZE, 'bold');
+    if (author) addLines(`by ${author}`, ImageExportPanel._TEXT_FONT_SIZE);
+    if (rules) {
+      y += ImageExportPanel._TEXT_FONT_SIZE / 2;
+      addLines(rules, ImageExportPanel._TEXT_FONT_SIZE);
+    }
+
+    return { elem: text, height: y + padding };
+  }
+
+  // Split `str` into lines of at most `maxChars`, keeping existing line
+  // breaks. Words which are too long are split.
+  static _wrapText(str, maxChars) {
+    const lines = [];
+    for (const paragraph of str.split('\n')) {
+      let line = '';
+      for (let word of paragraph.split(/\s+/)) {
+        while (word.length > maxChars) {
+          if (line) lines.push(line);
+          line = '';
+          lines.push(word.slice(0, maxChars));
+          word = word.slice(maxChars);
+        }
+        if (line && line.length + 1 + word.length > maxChars) {
+          lines.push(line);
+          line = word;
+        } else {
+          line = line ? `${line} ${word}` : word;
+        }
+      }
+      lines.push(line);
+    }
+    return lines;
+  }
+
+  async _makePng(svg, width) {
+    const scale = width / +svg.getAttribute('width');
+    const height = Math.round(+svg.getAttribute('height') * scale);
+    // Render the SVG at the full size, rather than scaling up a bitmap.
+    svg.setAttribute('width', width);
+    svg.setAttribute('height', height);
+
+    const text = new XMLSerializer().serializeToString(svg);
+    const url = URL.createObjectURL(
+      new Blob([text], { type: 'image/svg+xml' }));
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    try {
+      const image = new Image();
+      image.src = url;
+      await image.decode();
+      canvas.getContext('2d').drawImage(image, 0, 0, width, height);
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+
+    return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+  }
+
+  _download(blob, extension) {
+    const url = URL.createObjectURL(blob);
+
+    // Create a dummy element and click it.
+    const elem = window.document.createElement('a');
+    elem.href = url;
+    elem.download = `sudoku-${localTimestamp()}.${extension}`;
+    document.body.appendChild(elem);
+    elem.click();
+    document.body.removeChild(elem);
+  }
+}
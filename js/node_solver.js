@@ -0,0 +1,171 @@
+// Headless solver for running the solver engine from Node.js.
+//
+// This plays the same role as worker.js, but loads the solver scripts
+// directly into the current context instead of a web worker.
+//
+// Usage:
+//   const { NodeSolver } = require('./js/node_solver.js');
+//   const solver = NodeSolver.build('.Cage~10~R1C1~R1C2...');
+//   const solution = await solver.solve();
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SOLVER_FILES = [
+  'util.js',
+  'sudoku_builder.js',
+  'external_formats.js',
+  'solver/engine.js',
+  'solver/handlers.js',
+  'solver/optimizer.js',
+  'solver/logic.js',
+];
+
+// Load the solver scripts into this context. Top-level declarations are shared
+// between scripts in the same context, as they would be in the browser.
+const loadScripts = (files) => {
+  for (const file of files) {
+    const filename = path.join(__dirname, file);
+    vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename });
+  }
+};
+loadScripts(SOLVER_FILES);
+
+// Look up a global declared by one of the loaded scripts.
+const lookupGlobal = (name) => vm.runInThisContext(name);
+
+const SudokuParser = lookupGlobal('SudokuParser');
+const SudokuBuilder = lookupGlobal('SudokuBuilder');
+const Timer = lookupGlobal('Timer');
+const LogicalSolver = lookupGlobal('LogicalSolver');
+
+class NodeSolver {
+  // Build a solver from a constraint string, or from a parsed constraint.
+  // Accepts any input that `SudokuParser.parseText` accepts.
+  static build(input, options) {
+    options ||= {};
+    const constraint = (typeof input === 'string')
+      ? SudokuParser.parseText(input) : input;
+    return new NodeSolver(constraint, options);
+  }
+
+  constructor(constraint, options) {
+    this._constraint = constraint;
+    this._shape = constraint.getShape();
+
+    const timer = new Timer();
+    timer.runTimed(() => {
+      this._solver = SudokuBuilder.build(constraint, options.debugOptions);
+    });
+    this._setUpTime = timer.elapsedMs();
+    this._logicalSolver = null;
+
+    this._stateHandler = options.stateHandler || null;
+    if (this._stateHandler) {
+      this._solver.setProgressCallback(
+        this._sendState.bind(this),
+        options.logUpdateFrequency || SudokuBuilder.LOG_UPDATE_FREQUENCY);
+    }
+  }
+
+  shape() {
+    return this._shape;
+  }
+
+  constraint() {
+    return this._constraint;
+  }
+
+  // Find the first solution, or null if there are none.
+  async solve() {
+    return this._call(() => this._solver.nthSolution(0));
+  }
+
+  async nthSolution(n) {
+    return this._call(() => this._solver.nthSolution(n));
+  }
+
+  async nthStep(n, stepGuides) {
+    return this._call(
+      () => this._solver.nthStep(n, stepGuides || new Map()));
+  }
+
+  async nthLogicalStep(n) {
+    this._logicalSolver ||= new LogicalSolver(this._constraint);
+    return this._logicalSolver.nthStep(n);
+  }
+
+  async countSolutions(limit) {
+    return this._call(() => this._solver.countSolutions(limit));
+  }
+
+  async rateDifficulty(numSeeds) {
+    return this._call(() => this._solver.rateDifficulty(numSeeds));
+  }
+
+  async minimizeGivens(givens) {
+    return this._call(() => this._solver.minimizeGivens(givens));
+  }
+
+  async generatePuzzle(options) {
+    return this._call(() => this._solver.generatePuzzle(options));
+  }
+
+  async solveAllPossibilities() {
+    return this._call(() => this._solver.solveAllPossibilities());
+  }
+
+  async validateLayout() {
+    return this._call(() => this._solver.validateLayout());
+  }
+
+  async candidateFrequencies(limit, numSamples) {
+    return this._call(
+      () => this._solver.candidateFrequencies(limit, numSamples));
+  }
+
+  async suggestClues(pairClues, limit, numSamples) {
+    return this._call(
+      () => this._solver.suggestClues(pairClues, limit, numSamples));
+  }
+
+  async explainCandidate(cell, value) {
+    return this._call(() => this._solver.explainCandidate(cell, value));
+  }
+
+  async splitSearch(numParts) {
+    return this._call(() => this._solver.splitSearch(numParts));
+  }
+
+  async setSearchRestrictions(restrictions) {
+    return this._solver.setSearchRestrictions(restrictions);
+  }
+
+  // Return the solver state in the same format that the worker sends it.
+  state() {
+    const state = this._solver.state();
+    state.puzzleSetupTime = this._setUpTime;
+    return state;
+  }
+
+  _sendState(extraState) {
+    const state = this.state();
+    state.extra = extraState;
+    this._stateHandler(state);
+  }
+
+  async _call(fn) {
+    const result = fn();
+    if (this._stateHandler) this._sendState();
+    return result;
+  }
+}
+
+module.exports = {
+  NodeSolver,
+  SudokuParser,
+  SudokuBuilder,
+  toShortSolution: lookupGlobal('toShortSolution'),
+  lookupGlobal,
+};
@@ -0,0 +1,534 @@
+// Play mode lets the user solve the puzzle by hand. Entries are kept separate
+// from the givens, so they don't change the constraints or the solver.
+class PlayManager {
+  static COLORS = [
+    '#ff7f7f', '#ffbf7f', '#ffff7f', '#7fff7f', '#7fffff',
+    '#7f7fff', '#bf7fff', '#ff7fbf', '#bfbfbf',
+  ];
+  static MAX_UNDO = 200;
+
+  constructor(inputManager, constraintManager, displayContainer) {
+    this._inputManager = inputManager;
+    this._constraintManager = constraintManager;
+    this._shape = null;
+    this._enabled = false;
+
+    this._display = new PlayDisplay(displayContainer.getNewGroup('play-group'));
+    this._colorHighlighter = displayContainer.createHighlighter(
+      'play-color-cell');
+    this._errorHighlighter = displayContainer.createHighlighter(
+      'play-error-cell');
+    this._hintHighlighter = displayContainer.createHighlighter(
+      'highlighted-cell');
+
+    this._state = null;
+    // Incremented on every change, so that stale checks can be ignored.
+    this._version = 0;
+    this._undoStack = [];
+    this._redoStack = [];
+
+    // The unique solution, cached for the constraints it was found for.
+    this._solution = { constraints: null, result: null };
+    this._checkSolver = null;
+    // The hint for the current state, and how much of it has been shown.
+    this._hint = null;
+
+    this._setUpPanel();
+  }
+
+  reshape(shape) {
+    this._shape = shape;
+    this._display.reshape(shape);
+    this._reset();
+  }
+
+  _setUpPanel() {
+    this._container = document.getElementById('sudoku-grid');
+    this._panel = document.getElementById('play-panel');
+    this._form = document.forms['play-entry-type'];
+    this._result = document.getElementById('play-result');
+    this._undoButton = document.getElementById('play-undo-button');
+    this._redoButton = document.getElementById('play-redo-button');
+
+    const toggle = document.getElementById('play-mode-input');
+    toggle.onchange = () => this._enable(toggle.checked);
+
+    this._undoButton.onclick = () => this._undo();
+    this._redoButton.onclick = () => this._redo();
+    document.getElementById('play-check-button').onclick = () => this._check();
+    document.getElementById('play-hint-button').onclick = () => this._showHint();
+    document.getElementById('play-clear-button').onclick = () => {
+      this._update(() => this._state = this._emptyState());
+    };
+
+    const palette = document.getElementById('play-color-palette');
+    this.constructor.COLORS.forEach((color, i) => {
+      const swatch = document.createElement('span');
+      swatch.style.backgroundColor = color;
+      swatch.textContent = i + 1;
+      palette.appendChild(swatch);
+    });
+
+    this._inputManager.addSelectionPreserver(this._panel);
+
+    window.addEventListener('keydown', event => {
+      if (!this._enabled || !(event.ctrlKey || event.metaKey)) return;
+      if (event.key == 'z' && !event.shiftKey) {
+        this._undo();
+      } else if (event.key == 'y' || (event.key == 'Z' && event.shiftKey)) {
+        this._redo();
+      } else {
+        return;
+      }
+      event.preventDefault();
+    });
+  }
+
+  _enable(enable) {
+    this._enabled = enable;
+    this._panel.classList.toggle('hidden', !enable);
+    // Hide the solver output, so that it doesn't give away the answers.
+    this._container.classList.toggle('play-mode', enable);
+    this._inputManager.setPlayHandler(
+      enable ? this._handleInput.bind(this) : null);
+  }
+
+  _emptyState() {
+    const numCells = this._shape.numCells;
+    return {
+      values: new Array(numCells).fill(0),
+      center: Array.from({ length: numCells }, () => []),
+      corner: Array.from({ length: numCells }, () => []),
+      colors: new Array(numCells).fill(null),
+      // Cells with values, in the order they were entered.
+      order: [],
+    };
+  }
+
+  static _copyState(state) {
+    return {
+      values: state.values.slice(),
+      center: state.center.map(m => m.slice()),
+      corner: state.corner.map(m => m.slice()),
+      colors: state.colors.slice(),
+      order: state.order.slice(),
+    };
+  }
+
+  _reset() {
+    this._state = this._emptyState();
+    this._undoStack = [];
+    this._redoStack = [];
+    this._render();
+  }
+
+  // Apply `fn` to the state, saving the previous state for undo.
+  _update(fn) {
+    this._undoStack.push(this.constructor._copyState(this._state));
+    if (this._undoStack.length > this.constructor.MAX_UNDO) {
+      this._undoStack.shift();
+    }
+    this._redoStack = [];
+    fn();
+    this._render();
+  }
+
+  _undo() {
+    if (!this._undoStack.length) return;
+    this._redoStack.push(this._state);
+    this._state = this._undoStack.pop();
+    this._render();
+  }
+
+  _redo() {
+    if (!this._redoStack.length) return;
+    this._undoStack.push(this._state);
+    this._state = this._redoStack.pop();
+    this._render();
+  }
+
+  _entryType(event) {
+    // Modifiers override the selected type, as in other sudoku apps.
+    if (event?.ctrlKey || event?.metaKey) return 'center';
+    if (event?.shiftKey) return 'corner';
+    return this._form['play-entry-type'].value;
+  }
+
+  _handleInput(cellIds, digit, event) {
+    const shape = this._shape;
+    const fixedCells = new Set(this._constraintManager.getFixedCells());
+    // Cells outside the grids of composite layouts can't be entered.
+    const allCells = cellIds
+      .map(cellId => shape.parseCellId(cellId).cell)
+      .filter(cell => shape.isActiveCell(cell));
+    const cells = allCells.filter(
+      cell => !fixedCells.has(shape.makeCellIdFromIndex(cell)));
+    const entryType = this._entryType(event);
+
+    if (entryType == 'color') {
+      const color = digit ? this.constructor.COLORS[digit - 1] : null;
+      if (color === undefined) return;
+      // Colours can also be used on givens.
+      this._update(() => this._toggleColor(allCells, color));
+      return;
+    }
+
+    if (!cells.length) return;
+    if (digit === null) {
+      this._update(() => this._clearCells(cells, entryType));
+      return;
+    }
+
+    let value = shape.gridValue(digit);
+    if (entryType == 'value' && cells.length == 1) {
+      // Append to the current value if that is still valid, to allow entering
+      // multi-digit values.
+      const current = this._state.values[cells[0]];
+      if (current) {
+        const appended = shape.gridValue(
+          shape.displayValue(current) * 10 + digit);
+        if (appended <= shape.numValues) value = appended;
+      }
+    }
+    if (!(value > 0 && value <= shape.numValues)) return;
+
+    this._update(() => {
+      if (entryType == 'value') {
+        this._toggleValue(cells, value);
+      } else {
+        this._toggleMark(this._state[entryType], cells, value);
+      }
+    });
+  }
+
+  // Set the value in all the cells, or clear it if they all have it already.
+  _toggleValue(cells, value) {
+    const values = this._state.values;
+    const newValue = cells.every(c => values[c] == value) ? 0 : value;
+    for (const cell of cells) this._setValue(cell, newValue);
+  }
+
+  _setValue(cell, value) {
+    const state = this._state;
+    state.values[cell] = value;
+    state.order = state.order.filter(c => c != cell);
+    if (value) state.order.push(cell);
+  }
+
+  _toggleMark(marks, cells, value) {
+    const remove = cells.every(c => marks[c].includes(value));
+    for (const cell of cells) {
+      marks[cell] = marks[cell].filter(v => v != value);
+      if (!remove) marks[cell].push(value);
+      marks[cell].sort((a, b) => a - b);
+    }
+  }
+
+  _toggleColor(cells, color) {
+    const colors = this._state.colors;
+    const newColor = cells.every(c => colors[c] == color) ? null : color;
+    for (const cell of cells) colors[cell] = newColor;
+  }
+
+  // Clear the given type of entry. Values are cleared first, then any marks.
+  _clearCells(cells, entryType) {
+    const state = this._state;
+    if (entryType == 'value') {
+      if (cells.some(c => state.values[c])) {
+        for (const cell of cells) this._setValue(cell, 0);
+        return;
+      }
+      entryType = cells.some(c => state.center[c].length) ? 'center' : 'corner';
+    }
+    for (const cell of cells) state[entryType][cell] = [];
+  }
+
+  _render() {
+    const shape = this._shape;
+    this._display.drawState(this._state);
+
+    this._colorHighlighter.clear();
+    this._state.colors.forEach((color, cell) => {
+      if (!color) return;
+      const path = this._colorHighlighter.addCell(
+        shape.makeCellIdFromIndex(cell));
+      path.setAttribute('fill', color);
+    });
+
+    // Any change invalidates the last check or hint.
+    this._version++;
+    this._hint = null;
+    this._errorHighlighter.clear();
+    this._hintHighlighter.clear();
+    this._result.textContent = '';
+
+    this._undoButton.disabled = !this._undoStack.length;
+    this._redoButton.disabled = !this._redoStack.length;
+  }
+
+  // Returns the unique solution, or a string explaining why there isn't one.
+  async _getSolution() {
+    const constraints = this._constraintManager.getConstraints();
+    const key = constraints.toString();
+    if (this._solution.constraints === key) return this._solution.result;
+
+    const result = await this._runSolver(constraints, async (solver) => {
+      const solution = await solver.nthSolution(0);
+      if (!solution) return 'The puzzle has no solution.';
+      if (await solver.nthSolution(1)) {
+        return 'The puzzle does not have a unique solution.';
+      }
+      return solution;
+    });
+
+    this._solution = { constraints: key, result: result };
+    return result;
+  }
+
+  // Run `fn` with a new solver, terminating any previous one.
+  async _runSolver(constraints, fn) {
+    this._checkSolver?.terminate();
+    const solver = await SudokuBuilder.buildInWorker(constraints);
+    this._checkSolver = solver;
+    try {
+      return await fn(solver);
+    } finally {
+      solver.terminate();
+      if (this._checkSolver === solver) this._checkSolver = null;
+    }
+  }
+
+  // The constraints with the first `numEntries` values the player entered
+  // added as givens.
+  _constraintsWithEntries(numEntries) {
+    const shape = this._shape;
+    const state = this._state;
+    const valueIds = state.order.slice(0, numEntries).map(
+      cell => shape.makeValueId(cell, state.values[cell]));
+    return new SudokuConstraint.Set([
+      this._constraintManager.getConstraints(),
+      new SudokuConstraint.Givens(...valueIds),
+    ]);
+  }
+
+  // Show the next level of hint for the current state: first the region
+  // with a deduction, then the cell, then the value.
+  async _showHint() {
+    const version = this._version;
+    if (!this._hint) {
+      this._result.textContent = 'Finding a hint...';
+      let hint;
+      try {
+        hint = await this._findHint();
+      } catch (e) {
+        if (!e.toString().startsWith('Aborted')) this._result.textContent = e;
+        return;
+      }
+      if (version != this._version) return;
+      this._hint = { ...hint, level: 0 };
+    }
+
+    const hint = this._hint;
+    const shape = this._shape;
+    this._hintHighlighter.clear();
+    this._errorHighlighter.clear();
+    switch (hint.type) {
+      case 'message':
+        this._result.textContent = hint.message;
+        return;
+      case 'badEntry':
+        this._errorHighlighter.setCells([shape.makeCellIdFromIndex(hint.cell)]);
+        this._result.textContent = (
+          `The puzzle can't be solved with your entry in ` +
+          `${shape.makeCellIdFromIndex(hint.cell)} (and the entries before it).`);
+        return;
+    }
+
+    const cellId = shape.makeCellIdFromIndex(hint.cell);
+    hint.level = Math.min(hint.level + 1, 3);
+    if (hint.level == 1) {
+      this._result.textContent = `There is a deduction in ${hint.regionName}.`;
+    } else if (hint.level == 2) {
+      this._hintHighlighter.setCells([cellId]);
+      this._result.textContent = `Look at ${cellId}.`;
+    } else {
+      this._hintHighlighter.setCells([cellId]);
+      this._result.textContent = (
+        `${cellId} must be ${shape.displayValue(hint.value)}, as no other ` +
+        'value leads to a solution.');
+    }
+  }
+
+  // Find a cell whose value is forced by the givens and the player's entries,
+  // using the pencilmarks from solveAllPossibilities. If there is no
+  // solution, find the earliest entry which made the puzzle unsolvable.
+  async _findHint() {
+    const shape = this._shape;
+    const state = this._state;
+    const numEntries = state.order.length;
+
+    const pencilmarks = await this._runSolver(
+      this._constraintsWithEntries(numEntries),
+      solver => solver.solveAllPossibilities());
+    if (pencilmarks.some(values => !values.size)) {
+      return this._findBadEntry();
+    }
+
+    const fixedCells = new Set(
+      this._constraintManager.getFixedCells().map(
+        cellId => shape.parseCellId(cellId).cell));
+    const isFilled = (cell) => fixedCells.has(cell) || state.values[cell];
+
+    // Prefer cells in the most filled-in regions, as they are likely to be
+    // the easiest to find.
+    const regions = this._hintRegions();
+    const regionFilled = regions.map(
+      ({ cells }) => cells.filter(isFilled).length);
+    let best = null;
+    for (const cell of shape.allCells) {
+      if (!shape.isActiveCell(cell) || isFilled(cell)) continue;
+      if (pencilmarks[cell].size != 1) continue;
+      for (let i = 0; i < regions.length; i++) {
+        if (!regions[i].cells.includes(cell)) continue;
+        if (!best || regionFilled[i] > best.numFilled) {
+          best = { cell: cell, region: i, numFilled: regionFilled[i] };
+        }
+      }
+    }
+
+    if (!best) {
+      const isSolved = shape.allCells.every(
+        cell => !shape.isActiveCell(cell) || isFilled(cell));
+      return {
+        type: 'message',
+        message: isSolved
+          ? 'The puzzle is complete.'
+          : 'No cell is forced. The puzzle has more than one solution.',
+      };
+    }
+    return {
+      type: 'deduction',
+      cell: best.cell,
+      value: pencilmarks[best.cell].values().next().value,
+      regionName: regions[best.region].name,
+    };
+  }
+
+  // The boxes, jigsaw regions, rows and columns of the puzzle, which are used
+  // to describe where a hint is.
+  _hintRegions() {
+    const shape = this._shape;
+    const [constraints, metaConstraints] = (
+      this._constraintManager.getConstraints().toLists());
+    const regions = [];
+    const hasBoxes = !shape.noDefaultBoxes && !metaConstraints.some(
+      c => c.type === 'NoBoxes');
+    if (hasBoxes) {
+      SudokuConstraintBase.boxRegions(shape).forEach((cells, i) => {
+        regions.push({ name: `box ${i + 1}`, cells: cells });
+      });
+    }
+    for (const constraint of constraints) {
+      if (constraint.type !== 'Jigsaw') continue;
+      const pieces = new Map();
+      [...constraint.grid].forEach((piece, cell) => {
+        if (!pieces.has(piece)) pieces.set(piece, []);
+        pieces.get(piece).push(cell);
+      });
+      // Only complete pieces are regions, as in the solver.
+      [...pieces.values()]
+        .filter(cells => cells.length == shape.gridSize)
+        .forEach((cells, i) => {
+          regions.push({ name: `jigsaw region ${i + 1}`, cells: cells });
+        });
+    }
+    SudokuConstraintBase.rowRegions(shape).forEach((cells, i) => {
+      regions.push({ name: `row ${i + 1}`, cells: cells });
+    });
+    SudokuConstraintBase.colRegions(shape).forEach((cells, i) => {
+      regions.push({ name: `column ${i + 1}`, cells: cells });
+    });
+    return regions;
+  }
+
+  // Find the first entry which makes the puzzle unsolvable. Adding entries
+  // can only remove solutions, so we can binary search on the number of
+  // entries.
+  async _findBadEntry() {
+    const hasSolution = (numEntries) => this._runSolver(
+      this._constraintsWithEntries(numEntries),
+      async solver => (await solver.nthSolution(0)) !== null);
+
+    if (!await hasSolution(0)) {
+      return { type: 'message', message: 'The puzzle has no solution.' };
+    }
+    // hasSolution(low) is true, and hasSolution(high) is false.
+    let low = 0;
+    let high = this._state.order.length;
+    while (high - low > 1) {
+      const mid = (low + high) >> 1;
+      if (await hasSolution(mid)) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+    return { type: 'badEntry', cell: this._state.order[high - 1] };
+  }
+
+  // Flag cells which don't match the solution, without revealing it.
+  // A cell is wrong if its value is wrong, or if none of its centre marks
+  // are correct.
+  async _check() {
+    const version = this._version;
+    this._result.textContent = 'Checking...';
+
+    let solution;
+    try {
+      solution = await this._getSolution();
+    } catch (e) {
+      if (!e.toString().startsWith('Aborted')) this._result.textContent = e;
+      return;
+    }
+    // The state changed while we were solving.
+    if (version != this._version) return;
+    if (typeof solution === 'string') {
+      this._result.textContent = solution;
+      return;
+    }
+
+    const shape = this._shape;
+    const state = this._state;
+    const fixedCells = new Set(
+      this._constraintManager.getFixedCells().map(
+        cellId => shape.parseCellId(cellId).cell));
+    const wrongCells = [];
+    let numFilled = 0;
+    for (const cell of shape.allCells) {
+      if (fixedCells.has(cell)) continue;
+      const value = state.values[cell];
+      const center = state.center[cell];
+      if (value) {
+        numFilled++;
+        if (value != solution[cell]) wrongCells.push(cell);
+      } else if (center.length && !center.includes(solution[cell])) {
+        wrongCells.push(cell);
+      }
+    }
+
+    this._errorHighlighter.setCells(
+      wrongCells.map(cell => shape.makeCellIdFromIndex(cell)));
+    const numToFill = (
+      shape.allCells.filter(shape.isActiveCell).length - fixedCells.size);
+    if (wrongCells.length) {
+      this._result.textContent = (
+        `${wrongCells.length} cell${wrongCells.length == 1 ? ' is' : 's are'} ` +
+        'wrong.');
+    } else if (numFilled == numToFill) {
+      this._result.textContent = 'Solved!';
+    } else {
+      this._result.textContent = (
+        `No mistakes so far (${numFilled} of ${numToFill} cells filled).`);
+    }
+  }
+}
@@ -0,0 +1,221 @@
+// Lays out a list of puzzles as printable pages, with an optional answer key.
+// Each grid is drawn in the page's grid, and the current puzzle is restored
+// afterwards.
+class PrintPanel {
+  static ANSWERS_PER_PAGE = 4;
+
+  constructor(displayContainer, constraintManager) {
+    this._displayContainer = displayContainer;
+    this._constraintManager = constraintManager;
+
+    this._container = document.getElementById('print-container');
+    this._form = document.forms['print-form'];
+    this._status = document.getElementById('print-status');
+    this._errors = document.getElementById('print-errors');
+    this._sheets = document.getElementById('print-sheets');
+    this._printButton = document.getElementById('print-button');
+
+    document.getElementById('print-open-button').onclick = () => {
+      this._container.classList.toggle('hidden');
+    };
+    document.getElementById('print-close-button').onclick = () => {
+      this._container.classList.add('hidden');
+    };
+    document.getElementById('print-file-input').onchange = async (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+      this._form['print-input'].value = await file.text();
+      e.target.value = '';
+    };
+    document.getElementById('print-library-button').onclick = () => (
+      this._addLibraryPuzzles());
+
+    autoSaveField(this._form['print-per-page']);
+
+    this._form.onsubmit = (e) => {
+      e.preventDefault();
+      this._print();
+      return false;
+    };
+  }
+
+  async _addLibraryPuzzles() {
+    let puzzles;
+    try {
+      puzzles = await new PuzzleLibrary().getAll();
+    } catch (e) {
+      this._status.textContent = e.toString();
+      return;
+    }
+    const lines = puzzles.map(p => (
+      `${p.title.replace(/\s+/g, ' ') || 'Untitled'}\t${p.constraints}`));
+
+    const input = this._form['print-input'];
+    input.value = [input.value.trim(), ...lines].filter(l => l).join('\n');
+    this._status.textContent = `Added ${puzzles.length} puzzles.`;
+  }
+
+  async _print() {
+    const form = this._form;
+    const puzzles = BatchRunner.parsePuzzleList(form['print-input'].value);
+    if (!puzzles.length) {
+      this._status.textContent = 'No puzzles to print.';
+      return;
+    }
+    const rateDifficulty = form['print-difficulty'].checked;
+    const includeAnswers = form['print-answers'].checked;
+
+    this._printButton.disabled = true;
+    clearDOMNode(this._errors);
+    const errors = [];
+    try {
+      let results = [];
+      if (rateDifficulty || includeAnswers) {
+        const runner = new BatchRunner({ rateDifficulty });
+        this._status.textContent = `Solving 0/${puzzles.length}`;
+        results = await runner.run(puzzles, (_, i) => {
+          this._status.textContent = `Solving ${i + 1}/${puzzles.length}`;
+        });
+      }
+
+      const items = this._renderPuzzles(puzzles, results, errors);
+      this._layout(items, +form['print-per-page'].value);
+      this._status.textContent = `Printing ${items.length} puzzles.`;
+    } catch (e) {
+      clearDOMNode(this._sheets);
+      this._status.textContent = e.toString();
+    } finally {
+      this._printButton.disabled = false;
+    }
+
+    for (const error of errors) {
+      const li = document.createElement('li');
+      li.textContent = error;
+      this._errors.appendChild(li);
+    }
+    if (this._sheets.children.length) window.print();
+  }
+
+  // Returns a list of {title, details, rules, grid, answer} for the puzzles
+  // which could be parsed.
+  _renderPuzzles(puzzles, results, errors) {
+    const items = [];
+    for (let i = 0; i < puzzles.length; i++) {
+      const { name, input } = puzzles[i];
+      const result = results[i];
+
+      let constraint;
+      try {
+        constraint = SudokuParser.parseText(input, []);
+      } catch (e) {
+        errors.push(`${name}: ${e}`);
+        continue;
+      }
+
+      const [_, metaConstraints] = constraint.toLists();
+      const textOf = (type) => (
+        metaConstraints.find(c => c.type === type)?.text);
+      const item = {
+        title: textOf('Title') || name,
+        details: [],
+        rules: textOf('Rules'),
+        grid: this._renderGrid(constraint),
+        answer: null,
+      };
+      const author = textOf('Author');
+      if (author) item.details.push(`by ${author}`);
+      if (result?.difficulty) {
+        item.details.push(
+          ModeHandler.RateDifficulty.formatResult(result.difficulty));
+      }
+
+      if (result?.numSolutions > 1) {
+        errors.push(`${name}: No answer (not unique)`);
+      } else if (result?.solution) {
+        item.answer = this._renderGrid(new SudokuConstraint.Set([
+          constraint,
+          this._solutionGivens(result.solution, constraint.getShape()),
+        ]));
+      } else if (results.length) {
+        errors.push(`${name}: No answer (${result?.error || 'no solution'})`);
+      }
+      items.push(item);
+    }
+    return items;
+  }
+
+  _renderGrid(constraint) {
+    const svg = this._constraintManager.drawTemporarily(
+      constraint, () => this._displayContainer.exportSvg(
+        [...ImageExportPanel.INTERACTIVE_GROUPS, 'solution-group']));
+
+    // Scale the grid to fit the space on the page.
+    const width = svg.getAttribute('width');
+    const height = svg.getAttribute('height');
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    svg.removeAttribute('width');
+    svg.removeAttribute('height');
+    return svg;
+  }
+
+  // The inverse of toShortSolution().
+  _solutionGivens(shortSolution, shape) {
+    const baseCharCode = SudokuParser.shapeToBaseCharCode(shape);
+    const valueIds = [];
+    for (let i = 0; i < shape.numCells; i++) {
+      if (!shape.isActiveCell(i)) continue;
+      valueIds.push(shape.makeValueId(
+        i, shortSolution.charCodeAt(i) - baseCharCode + 1));
+    }
+    return new SudokuConstraint.Givens(...valueIds);
+  }
+
+  _layout(items, perPage) {
+    clearDOMNode(this._sheets);
+    this._addPages(items, perPage, item => item.grid);
+
+    const answers = items.filter(item => item.answer);
+    if (answers.length) {
+      this._addPages(
+        answers, PrintPanel.ANSWERS_PER_PAGE, item => item.answer, 'Answers');
+    }
+  }
+
+  _addPages(items, perPage, getGrid, heading) {
+    for (let i = 0; i < items.length; i += perPage) {
+      const page = document.createElement('div');
+      page.classList.add('print-page', `print-page-${perPage}`);
+      if (heading) {
+        const headingElem = document.createElement('h1');
+        headingElem.textContent = heading;
+        page.appendChild(headingElem);
+      }
+      for (const item of items.slice(i, i + perPage)) {
+        page.appendChild(this._makePuzzleElem(item, getGrid(item)));
+      }
+      this._sheets.appendChild(page);
+    }
+  }
+
+  _makePuzzleElem(item, grid) {
+    const elem = document.createElement('div');
+    elem.classList.add('print-puzzle');
+
+    const title = document.createElement('h2');
+    title.textContent = item.title;
+    elem.appendChild(title);
+    if (item.details.length) {
+      const details = document.createElement('div');
+      details.textContent = item.details.join(' - ');
+      elem.appendChild(details);
+    }
+    if (item.rules) {
+      const rules = document.createElement('div');
+      rules.classList.add('print-puzzle-rules');
+      rules.textContent = item.rules;
+      elem.appendChild(rules);
+    }
+    elem.appendChild(grid);
+    return elem;
+  }
+}
@@ -0,0 +1,310 @@
+// Saved puzzles, stored in IndexedDB so that they persist between sessions.
+// Each puzzle is {id, title, author, source, tags, notes, constraints,
+// created}, where constraints is the constraint string.
+class PuzzleLibrary {
+  static DB_NAME = 'puzzle-library';
+  static DB_VERSION = 1;
+  static STORE_NAME = 'puzzles';
+  // Version of the exported JSON file.
+  static EXPORT_VERSION = 1;
+
+  constructor() {
+    this._db = null;
+  }
+
+  static _request(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async _open() {
+    if (this._db) return this._db;
+
+    const request = indexedDB.open(
+      PuzzleLibrary.DB_NAME, PuzzleLibrary.DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(
+        PuzzleLibrary.STORE_NAME, { keyPath: 'id', autoIncrement: true });
+    };
+    this._db = await PuzzleLibrary._request(request);
+    return this._db;
+  }
+
+  async _store(mode) {
+    const db = await this._open();
+    return db.transaction(PuzzleLibrary.STORE_NAME, mode)
+      .objectStore(PuzzleLibrary.STORE_NAME);
+  }
+
+  // All puzzles, newest first.
+  async getAll() {
+    const store = await this._store('readonly');
+    const puzzles = await PuzzleLibrary._request(store.getAll());
+    return puzzles.sort((a, b) => b.created - a.created);
+  }
+
+  // Add a puzzle, returning its id.
+  async add(puzzle) {
+    const store = await this._store('readwrite');
+    return PuzzleLibrary._request(store.add(PuzzleLibrary._normalize(puzzle)));
+  }
+
+  async delete(id) {
+    const store = await this._store('readwrite');
+    return PuzzleLibrary._request(store.delete(id));
+  }
+
+  static _normalize(puzzle) {
+    if (typeof puzzle.constraints !== 'string' || !puzzle.constraints) {
+      throw ('Puzzle has no constraints.');
+    }
+    return {
+      title: String(puzzle.title || ''),
+      author: String(puzzle.author || ''),
+      source: String(puzzle.source || ''),
+      tags: Array.isArray(puzzle.tags)
+        ? PuzzleLibrary.parseTags(puzzle.tags.join(',')) : [],
+      notes: String(puzzle.notes || ''),
+      constraints: puzzle.constraints,
+      created: +puzzle.created || Date.now(),
+    };
+  }
+
+  // Tags are separated by commas, and are case-insensitive.
+  static parseTags(text) {
+    const tags = text.split(',')
+      .map(t => t.trim().toLowerCase()).filter(t => t);
+    return [...new Set(tags)];
+  }
+
+  // Returns true if every word in `query` is in the title, author, tags or
+  // notes of the puzzle.
+  static matches(puzzle, query) {
+    const text = [
+      puzzle.title, puzzle.author, puzzle.notes, ...puzzle.tags,
+    ].join(' ').toLowerCase();
+    return query.toLowerCase().split(/\s+/).every(word => text.includes(word));
+  }
+
+  async exportJSON() {
+    const puzzles = (await this.getAll()).map(({ id, ...puzzle }) => puzzle);
+    return JSON.stringify({
+      version: PuzzleLibrary.EXPORT_VERSION,
+      puzzles: puzzles,
+    }, null, 1);
+  }
+
+  // Add the puzzles from an exported file. Puzzles which are already in the
+  // library (with the same title and constraints) are skipped.
+  // Returns the number of puzzles added.
+  async importJSON(text) {
+    const data = JSON.parse(text);
+    if (!Array.isArray(data?.puzzles)) throw ('Not a puzzle library file.');
+    if (data.version > PuzzleLibrary.EXPORT_VERSION) {
+      throw ('This file is from a newer version, and can not be imported.');
+    }
+
+    const existing = new Set(
+      (await this.getAll()).map(p => p.title + '\n' + p.constraints));
+    let numAdded = 0;
+    for (const puzzle of data.puzzles) {
+      const key = puzzle.title + '\n' + puzzle.constraints;
+      if (existing.has(key)) continue;
+      await this.add(puzzle);
+      existing.add(key);
+      numAdded++;
+    }
+    return numAdded;
+  }
+}
+
+class LibraryPanel {
+  constructor(constraintManager) {
+    this._constraintManager = constraintManager;
+    this._library = new PuzzleLibrary();
+    this._puzzles = [];
+
+    this._container = document.getElementById('library-container');
+    this._form = document.getElementById('library-save-form');
+    this._search = document.getElementById('library-search');
+    this._tagFilter = document.getElementById('library-tag-filter');
+    this._list = document.getElementById('library-list');
+    this._status = document.getElementById('library-status');
+
+    document.getElementById('library-open-button').onclick = () => {
+      this._container.classList.toggle('hidden');
+      if (!this._container.classList.contains('hidden')) {
+        this._run(() => this._refresh());
+      }
+    };
+    document.getElementById('library-close-button').onclick = () => {
+      this._container.classList.add('hidden');
+    };
+
+    this._form.onsubmit = (e) => {
+      e.preventDefault();
+      this._save();
+      return false;
+    };
+    this._search.oninput = () => this._renderList();
+    this._tagFilter.onchange = () => this._renderList();
+
+    document.getElementById('library-export-button').onclick = () => (
+      this._export());
+    document.getElementById('library-import-input').onchange = async (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+      e.target.value = '';
+      this._import(await file.text());
+    };
+  }
+
+  // Run `fn`, showing any error in the status.
+  async _run(fn) {
+    this._status.textContent = '';
+    this._status.classList.remove('error');
+    try {
+      await fn();
+    } catch (e) {
+      this._status.classList.add('error');
+      this._status.textContent = e.toString();
+    }
+  }
+
+  async _refresh() {
+    this._puzzles = await this._library.getAll();
+    this._renderTagFilter();
+    this._renderList();
+  }
+
+  async _save() {
+    const form = this._form;
+    await this._run(async () => {
+      await this._library.add({
+        title: form['library-title'].value.trim(),
+        author: form['library-author'].value.trim(),
+        source: form['library-source'].value.trim(),
+        tags: PuzzleLibrary.parseTags(form['library-tags'].value),
+        notes: form['library-notes'].value.trim(),
+        constraints: this._constraintManager.getConstraints().toString(),
+      });
+      form.reset();
+      await this._refresh();
+    });
+  }
+
+  async _import(text) {
+    await this._run(async () => {
+      const numAdded = await this._library.importJSON(text);
+      await this._refresh();
+      this._status.textContent = `Imported ${numAdded} puzzles.`;
+    });
+  }
+
+  async _export() {
+    await this._run(async () => {
+      const text = await this._library.exportJSON();
+      const blob = new Blob([text], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+
+      // Create a dummy element and click it.
+      const elem = window.document.createElement('a');
+      elem.href = url;
+      elem.download = `sudoku-iss-library-${localTimestamp()}.json`;
+      document.body.appendChild(elem);
+      elem.click();
+      document.body.removeChild(elem);
+    });
+  }
+
+  _renderTagFilter() {
+    const current = this._tagFilter.value;
+    const tags = [...new Set(this._puzzles.flatMap(p => p.tags))].sort();
+
+    clearDOMNode(this._tagFilter);
+    const allOption = document.createElement('option');
+    allOption.value = '';
+    allOption.textContent = 'All tags';
+    this._tagFilter.appendChild(allOption);
+    for (const tag of tags) {
+      const option = document.createElement('option');
+      option.value = tag;
+      option.textContent = tag;
+      this._tagFilter.appendChild(option);
+    }
+    this._tagFilter.value = tags.includes(current) ? current : '';
+  }
+
+  _renderList() {
+    const query = this._search.value.trim();
+    const tag = this._tagFilter.value;
+    const puzzles = this._puzzles.filter(p => (
+      (!tag || p.tags.includes(tag)) &&
+      (!query || PuzzleLibrary.matches(p, query))));
+
+    clearDOMNode(this._list);
+    if (!puzzles.length) {
+      const item = document.createElement('li');
+      item.classList.add('description');
+      item.textContent = this._puzzles.length
+        ? 'No matching puzzles.' : 'No saved puzzles.';
+      this._list.appendChild(item);
+      return;
+    }
+    for (const puzzle of puzzles) {
+      this._list.appendChild(this._makeListItem(puzzle));
+    }
+  }
+
+  _makeListItem(puzzle) {
+    const item = document.createElement('li');
+
+    const title = document.createElement('strong');
+    title.textContent = puzzle.title || 'Untitled';
+    item.appendChild(title);
+    if (puzzle.author) {
+      item.appendChild(document.createTextNode(` by ${puzzle.author}`));
+    }
+    if (puzzle.source) {
+      item.appendChild(document.createTextNode(' '));
+      const link = document.createElement('a');
+      link.textContent = '(Source)';
+      link.target = '_blank';
+      // Only link to web pages.
+      if (/^https?:\/\//.test(puzzle.source)) link.href = puzzle.source;
+      item.appendChild(link);
+    }
+
+    const loadButton = document.createElement('button');
+    loadButton.textContent = 'Load';
+    loadButton.onclick = () => (
+      this._constraintManager.loadUnsafeFromText(puzzle.constraints));
+    const deleteButton = document.createElement('button');
+    deleteButton.textContent = 'Delete';
+    deleteButton.classList.add('danger-button');
+    deleteButton.onclick = async () => {
+      if (!window.confirm(`Delete "${puzzle.title || 'Untitled'}"?`)) return;
+      await this._run(async () => {
+        await this._library.delete(puzzle.id);
+        await this._refresh();
+      });
+    };
+    item.append(' ', loadButton, ' ', deleteButton);
+
+    if (puzzle.tags.length) {
+      const tags = document.createElement('div');
+      tags.classList.add('library-tags');
+      tags.textContent = puzzle.tags.join(', ');
+      item.appendChild(tags);
+    }
+    if (puzzle.notes) {
+      const notes = document.createElement('div');
+      notes.classList.add('description');
+      notes.textContent = puzzle.notes;
+      item.appendChild(notes);
+    }
+    return item;
+  }
+}
@@ -9,10 +9,22 @@ const initPage = () => {
 
   constraintManager = new ConstraintManager(
     inputManager, displayContainer);
-  constraintManager.addReshapeListener(displayContainer);
+  constraintManager.addReshapeListener(displayContainer, true);
   constraintManager.addReshapeListener(inputManager);
 
   controller = new SolutionController(constraintManager, displayContainer);
+
+  const playManager = new PlayManager(
+    inputManager, constraintManager, displayContainer);
+  constraintManager.addReshapeListener(playManager);
+
+  new BatchPanel();
+  new GeneratorPanel(constraintManager);
+  new ExportPanel(constraintManager);
+  new ImageExportPanel(displayContainer, constraintManager);
+  new LibraryPanel(constraintManager);
+  new PrintPanel(displayContainer, constraintManager);
+  new TransformPanel(constraintManager);
 };
 
 class CheckboxConstraints {
@@ -127,6 +139,22 @@ class CheckboxConstraints {
     return this._getConstraint(true);
   }
 
+  // Each checked constraint as a separate item.
+  getItems() {
+    const items = [];
+    for (const item of Object.values(this._checkboxes)) {
+      if (item.element.checked && !item.element.disabled) {
+        items.push({
+          constraint: item.constraint,
+          name: item.element.labels[0].textContent,
+          cells: [],
+          elems: [item.element.parentNode],
+        });
+      }
+    }
+    return items;
+  }
+
   check(name) {
     this._checkboxes[name].element.checked = true;
     this._checkboxes[name].element.dispatchEvent(new Event('change'));
@@ -137,6 +165,90 @@ class CheckboxConstraints {
       item.element.checked = false;
     }
   }
+
+  // Disable the constraints which can't be used with the shape.
+  reshape(shape) {
+    for (const item of Object.values(this._checkboxes)) {
+      item.element.disabled = !SudokuConstraintBase.isSupportedByShape(
+        item.constraint.type, shape);
+    }
+  }
+}
+
+// The title, author, rules and source of the puzzle. These are shown above the
+// grid, but don't affect the solution.
+class PuzzleInfo {
+  static TYPES = ['Title', 'Author', 'Rules', 'Source'];
+
+  constructor(onChange) {
+    this._form = document.forms['puzzle-info-input'];
+    this._display = document.getElementById('puzzle-info');
+
+    for (const type of PuzzleInfo.TYPES) {
+      this._input(type).onchange = () => {
+        this._updateDisplay();
+        onChange();
+      };
+    }
+  }
+
+  _input(type) {
+    return this._form[`puzzle-info-${type.toLowerCase()}`];
+  }
+
+  getConstraint() {
+    const constraints = [];
+    for (const type of PuzzleInfo.TYPES) {
+      const text = this._input(type).value.trim();
+      if (text) constraints.push(SudokuConstraint[type].fromText(text));
+    }
+    return new SudokuConstraint.Set(constraints);
+  }
+
+  setConstraint(constraint) {
+    this._input(constraint.type).value = constraint.text;
+    this._updateDisplay();
+  }
+
+  clear() {
+    this._form.reset();
+    this._updateDisplay();
+  }
+
+  _updateDisplay() {
+    const [title, author, rules, source] = PuzzleInfo.TYPES.map(
+      type => this._input(type).value.trim());
+    clearDOMNode(this._display);
+    this._display.classList.toggle('hidden', !(title || author || rules));
+
+    if (title || author) {
+      const heading = document.createElement('div');
+      heading.classList.add('puzzle-info-heading');
+      if (title) {
+        const titleElem = document.createElement('strong');
+        titleElem.textContent = title;
+        heading.appendChild(titleElem);
+      }
+      if (author) {
+        heading.appendChild(document.createTextNode(
+          `${title ? ' ' : ''}by ${author}`));
+      }
+      if (/^https?:\/\//.test(source)) {
+        const link = document.createElement('a');
+        link.href = source;
+        link.target = '_blank';
+        link.textContent = '(Source)';
+        heading.append(' ', link);
+      }
+      this._display.appendChild(heading);
+    }
+    if (rules) {
+      const rulesElem = document.createElement('div');
+      rulesElem.classList.add('puzzle-info-rules');
+      rulesElem.textContent = rules;
+      this._display.appendChild(rulesElem);
+    }
+  }
 }
 
 class ExampleHandler {
@@ -246,7 +358,7 @@ class JigsawManager {
   getConstraint() {
     if (this._piecesMap.every(x => x == 0)) return new SudokuConstraint.Set([]);
 
-    const baseCharCode = SudokuParser.SHAPE_TO_BASE_CHAR_CODE.get(this._shape);
+    const baseCharCode = SudokuParser.shapeToBaseCharCode(this._shape);
 
     const indexMap = new Map();
     const grid = Array(this._shape.numCells).fill('-');
@@ -258,6 +370,18 @@ class JigsawManager {
     return new SudokuConstraint.Jigsaw(grid.join(''));
   }
 
+  // The whole layout as a single item, or null if there are no pieces.
+  getItem() {
+    const constraint = this.getConstraint();
+    if (constraint.type != 'Jigsaw') return null;
+    return {
+      constraint: constraint,
+      name: 'Jigsaw',
+      cells: [],
+      elems: [this._regionPanel],
+    };
+  }
+
   setConstraint(constraint) {
     const grid = constraint.grid;
     const map = new Map();
@@ -318,36 +442,105 @@ class ShapeManager {
   constructor() {
     this._shape = null;
     this._reshapeListeners = [];
+    // Listeners which draw the puzzle, which are the only ones updated when a
+    // puzzle is only being drawn.
+    this._drawingListeners = new Set();
 
     this._select = document.getElementById('shape-select');
-    this._select.onchange = () => { this.reloadShape(); };
+    this._valuesSelect = document.getElementById('shape-values-select');
+    this._populateSelect();
+    this._populateValuesSelect();
+    this._select.onchange = () => {
+      // Reset the values to the default for the new grid size.
+      const numValues = GridShape.get(this._select.value).numValues;
+      this._valuesSelect.value = `1-${numValues}`;
+      this.reloadShape();
+    };
+    this._valuesSelect.onchange = () => { this.reloadShape(); };
   }
 
-  reshape(shape) {
+  _populateValuesSelect() {
+    clearDOMNode(this._valuesSelect);
+    for (let n = 2; n <= GridShape.MAX_NUM_VALUES; n++) {
+      for (const range of [`1-${n}`, `0-${n - 1}`]) {
+        const option = document.createElement('option');
+        option.value = range;
+        option.textContent = range;
+        this._valuesSelect.appendChild(option);
+      }
+    }
+    this._valuesSelect.value = (
+      `1-${SudokuConstraintBase.DEFAULT_SHAPE.numValues}`);
+  }
+
+  _addOption(shape, text) {
+    const option = document.createElement('option');
+    option.value = shape.name;
+    option.textContent = text;
+    this._select.appendChild(option);
+  }
+
+  _populateSelect() {
+    clearDOMNode(this._select);
+
+    for (let size = GridShape.MIN_SIZE; size <= GridShape.MAX_SIZE; size++) {
+      const defaultShape = GridShape.fromGridSize(size);
+      this._addOption(defaultShape, defaultShape.name);
+      // Add the alternative box dimensions.
+      for (const [w, h] of GridShape.boxDimensions(size)) {
+        const shape = GridShape.fromGridSize(size, w, h);
+        if (shape === defaultShape) continue;
+        this._addOption(shape, `${size}x${size} (${w}x${h} boxes)`);
+      }
+    }
+    this._addOption(GridShape.SAMURAI, 'Samurai');
+    this._addOption(GridShape.BUTTERFLY, 'Butterfly');
+    this._addOption(GridShape.TWODOKU, 'Twodoku');
+    this._select.value = SudokuConstraintBase.DEFAULT_SHAPE.name;
+  }
+
+  reshape(shape, drawOnly) {
     if (this._shape === shape) return;
 
     this._shape = shape;
     for (const listener of this._reshapeListeners) {
+      if (drawOnly && !this._drawingListeners.has(listener)) continue;
       listener.reshape(shape);
     }
   }
 
-  addReshapeListener(listener) {
+  addReshapeListener(listener, drawsPuzzle) {
     this._reshapeListeners.push(listener);
+    if (drawsPuzzle) this._drawingListeners.add(listener);
   }
 
   reloadShape() {
-    const shapeSelect = this._select;
-    const shapeName = shapeSelect.value;
-    const shape = GridShape.get(shapeName);
-    if (!shape) throw ('Invalid shape: ' + shapeName);
+    let shapeName = this._select.value;
+    const layoutShape = GridShape.get(shapeName);
+    const valueRange = this._valuesSelect.value;
+    if (valueRange !== `1-${layoutShape.numValues}`) {
+      shapeName += `~${valueRange}`;
+    }
+    let shape = GridShape.get(shapeName);
+    if (!shape) {
+      // Composite layouts need at least enough values to fill a sub-grid.
+      this._valuesSelect.value = `1-${layoutShape.numValues}`;
+      shape = layoutShape;
+    }
     this.reshape(shape);
   }
 
-  loadConstraintShape(constraint) {
+  loadConstraintShape(constraint, drawOnly) {
     const shape = constraint.getShape(constraint);
-    this._select.value = shape.name;
-    this.reshape(shape);
+    // The value range is selected separately from the layout.
+    const layoutShape = GridShape.get(shape.name.replace(/~\d+-\d+$/, ''));
+    if (![...this._select.options].some(o => o.value === layoutShape.name)) {
+      // Custom composite layouts only have an option once they are loaded.
+      this._addOption(layoutShape, layoutShape.name);
+    }
+    this._select.value = layoutShape.name;
+    this._valuesSelect.value = `${shape.minValue}-${shape.maxValue}`;
+    this.reshape(shape, drawOnly);
   }
 }
 
@@ -508,30 +701,37 @@ class ConstraintManager {
     this._checkboxes = {};
 
     this._invisibleConstraints = [];
+    // Set while another puzzle is only being drawn.
+    this._isDrawOnly = false;
     this._shapeManager = new ShapeManager();
-    this._shapeManager.addReshapeListener(this);
+    this._shapeManager.addReshapeListener(this, true);
 
     this._display = new ConstraintDisplay(
       inputManager, displayContainer);
-    this.addReshapeListener(this._display);
+    this.addReshapeListener(this._display, true);
     this._setUpPanel(inputManager, displayContainer);
     this._givenCandidates = new GivenCandidates(
       inputManager, this._display, this.runUpdateCallback.bind(this));
-    this.addReshapeListener(this._givenCandidates);
+    this.addReshapeListener(this._givenCandidates, true);
 
     this.setUpdateCallback();
   }
 
   reshape(shape) {
-    // Keep the checkbox constraints, since they are shape-agnostic.
+    // Keep the checkbox constraints and puzzle info, since they are
+    // shape-agnostic.
     const checkboxes = this._checkboxConstraints.getConstraint();
+    const puzzleInfo = this._puzzleInfo.getConstraint();
 
     this.clear();
     this._shape = shape;
+    this._checkboxConstraints.reshape(shape);
     this.loadConstraint(checkboxes);
+    this.loadConstraint(puzzleInfo);
   }
-  addReshapeListener(listener) {
-    this._shapeManager.addReshapeListener(listener);
+  // `drawsPuzzle` listeners are also updated when a puzzle is only drawn.
+  addReshapeListener(listener, drawsPuzzle) {
+    this._shapeManager.addReshapeListener(listener, drawsPuzzle);
   }
 
   setUpdateCallback(fn) {
@@ -539,6 +739,8 @@ class ConstraintManager {
   }
 
   runUpdateCallback() {
+    if (this._isDrawOnly) return;
+    this.setConflictHighlight([]);
     this._exampleHandler.newConstraintLoaded();
     this.updateCallback(this);
   }
@@ -550,15 +752,19 @@ class ConstraintManager {
   _setUpPanel(inputManager, displayContainer) {
     this._constraintPanel = document.getElementById('displayed-constraints');
     this._panelItemHighlighter = displayContainer.createHighlighter('highlighted-cell');
+    this._conflictHighlighter = displayContainer.createHighlighter('conflict-cell');
+    this._conflictElems = [];
 
     // Checkbox constraints.
     this._checkboxConstraints = new CheckboxConstraints(
       this._display, this.runUpdateCallback.bind(this));
 
+    this._puzzleInfo = new PuzzleInfo(this.runUpdateCallback.bind(this));
+
     // Jigsaw constraints
     this._jigsawManager = new JigsawManager(
       this._display, this._makePanelItem.bind(this));
-    this.addReshapeListener(this._jigsawManager);
+    this.addReshapeListener(this._jigsawManager, true);
 
     // Multi-cell constraints.
     const selectionForm = document.forms['multi-cell-constraint-input'];
@@ -577,7 +783,7 @@ class ConstraintManager {
     this._customBinaryConstraints = new CustomBinaryConstraintManager(
       inputManager, this._display, this._addToPanel.bind(this),
       this.runUpdateCallback.bind(this));
-    this.addReshapeListener(this._customBinaryConstraints);
+    this.addReshapeListener(this._customBinaryConstraints, true);
 
     // Outside arrows.
     this._outsideArrowConstraints = new OutsideArrowConstraints(
@@ -628,13 +834,16 @@ class ConstraintManager {
   }
 
   _loadFromText(input) {
-    const constraint = SudokuParser.parseText(input);
+    const warnings = [];
+    const constraint = SudokuParser.parseText(input, warnings);
 
-    this.clear();
-    this._shapeManager.loadConstraintShape(constraint);
-    this.loadConstraint(constraint);
+    this.replaceConstraints(constraint);
 
-    this.runUpdateCallback();
+    if (warnings.length) {
+      // Show the user what was dropped when importing from another tool.
+      document.getElementById('freeform-constraint-input-error').textContent = (
+        'Imported without unsupported features: ' + warnings.join(', '));
+    }
   }
 
   _onNewSelection(selection, selectionForm) {
@@ -653,12 +862,13 @@ class ConstraintManager {
       selectionForm.classList.remove('disabled');
     }
 
-    // Enable/disable the adjacent only constraints.
-    for (const [_, config] of Object.entries(this._multiCellConstraints)) {
-      if (config.validateFn) {
-        const isValid = config.validateFn(selection, this._shape);
-        config.elem.disabled = !isValid;
-      }
+    // Enable/disable the adjacent only constraints, and those which can't be
+    // used with the shape.
+    for (const [name, config] of Object.entries(this._multiCellConstraints)) {
+      const isValid = (
+        SudokuConstraintBase.isSupportedByShape(name, this._shape) &&
+        (!config.validateFn || config.validateFn(selection, this._shape)));
+      config.elem.disabled = !isValid;
     }
 
     // Disable the add button if the current value is not valid.
@@ -850,6 +1060,12 @@ class ConstraintManager {
       case 'Shape':
         // Nothing to do, but ensure it is not added to invisible constraints.
         break;
+      case 'Title':
+      case 'Author':
+      case 'Rules':
+      case 'Source':
+        this._puzzleInfo.setConstraint(constraint);
+        break;
       default:
         this._invisibleConstraints.push(constraint);
         break;
@@ -1184,7 +1400,8 @@ class ConstraintManager {
     if (config.constraintClass === SudokuConstraint.Quad) {
       const valuesStr = formData.get(type + '-value');
       const values = valuesStr.split(/[, ]+/).map(v => +v).filter(
-        v => Number.isInteger(v) && v >= 1 && v <= this._shape.numValues);
+        v => Number.isInteger(v) &&
+          v >= this._shape.minValue && v <= this._shape.maxValue);
       if (values.length) {
         cells.sort();
         const constraint = new SudokuConstraint.Quad(cells[0], ...values);
@@ -1306,6 +1523,15 @@ class ConstraintManager {
   }
 
   getConstraints() {
+    return this._getConstraints(true);
+  }
+
+  // All constraints except the givens.
+  getNonGivenConstraints() {
+    return this._getConstraints(false);
+  }
+
+  _getConstraints(includeGivens) {
     if (!this._shape) this._shapeManager.reloadShape();
 
     let constraints = this._configs.map(c => c.constraint);
@@ -1313,13 +1539,110 @@ class ConstraintManager {
     constraints.push(this._checkboxConstraints.getConstraint());
     constraints.push(...this._outsideArrowConstraints.getConstraints());
     constraints.push(...this._customBinaryConstraints.getConstraints());
-    constraints.push(this._givenCandidates.getConstraint());
+    if (includeGivens) {
+      constraints.push(this._givenCandidates.getConstraint());
+    }
     constraints.push(new SudokuConstraint.Shape(this._shape.name));
+    constraints.push(this._puzzleInfo.getConstraint());
     constraints.push(...this._invisibleConstraints);
 
     return new SudokuConstraint.Set(constraints);
   }
 
+  // The constraints as separate items, so that we can find which of them
+  // conflict. Returns {base, items} where base is the constraints which are
+  // always kept. Each item has the constraint, a plain text name, and the
+  // cells and elements to highlight.
+  getConstraintItems() {
+    if (!this._shape) this._shapeManager.reloadShape();
+
+    const items = this._configs.map(config => ({
+      constraint: config.constraint,
+      name: config.constraint.type,
+      cells: config.cells,
+      elems: [config.panelItem],
+    }));
+    items.push(...this._customBinaryConstraints.getItems());
+    const jigsawItem = this._jigsawManager.getItem();
+    if (jigsawItem) items.push(jigsawItem);
+    items.push(...this._checkboxConstraints.getItems());
+    for (const constraint of this._outsideArrowConstraints.getConstraints()) {
+      items.push({ constraint, name: constraint.type, cells: [], elems: [] });
+    }
+    for (const valueId of this.getGivens()) {
+      items.push({
+        constraint: new SudokuConstraint.Givens(valueId),
+        name: valueId,
+        cells: [this._shape.parseValueId(valueId).cellId],
+        elems: [],
+      });
+    }
+
+    const base = [
+      new SudokuConstraint.Shape(this._shape.name),
+      ...this._invisibleConstraints,
+    ];
+    return { base, items };
+  }
+
+  // Highlight items from getConstraintItems(). An empty list clears the
+  // highlight.
+  setConflictHighlight(items) {
+    for (const elem of this._conflictElems) {
+      elem.classList.remove('conflict-item');
+    }
+    this._conflictElems = items.flatMap(item => item.elems);
+    for (const elem of this._conflictElems) {
+      elem.classList.add('conflict-item');
+    }
+    this._conflictHighlighter.setCells(items.flatMap(item => item.cells));
+  }
+
+  // Replace the puzzle with `constraint`, including its shape.
+  replaceConstraints(constraint) {
+    this.clear();
+    this._shapeManager.loadConstraintShape(constraint);
+    this.loadConstraint(constraint);
+
+    this.runUpdateCallback();
+  }
+
+  // Draw `constraint` in the grid and return the result of `fn`, then restore
+  // the current puzzle. The solver, history and play mode are not updated.
+  drawTemporarily(constraint, fn) {
+    const current = this.getConstraints();
+    this._isDrawOnly = true;
+    try {
+      this._drawConstraints(constraint);
+      return fn();
+    } finally {
+      this._drawConstraints(current);
+      this._isDrawOnly = false;
+    }
+  }
+
+  _drawConstraints(constraint) {
+    this.clear();
+    this._shapeManager.loadConstraintShape(constraint, true);
+    this.loadConstraint(constraint);
+  }
+
+  // Add a single constraint to the puzzle, e.g. a suggested clue.
+  addConstraint(constraint) {
+    this.loadConstraint(constraint);
+    this.runUpdateCallback();
+  }
+
+  // The value ids of the current givens.
+  getGivens() {
+    return this._givenCandidates.getConstraint().values;
+  }
+
+  // Replace all the givens with the given value ids.
+  replaceGivens(valueIds) {
+    this._givenCandidates.replaceValueIds(valueIds);
+  }
+
   getFixedCells() {
     return this._givenCandidates.getFixedCells();
   }
@@ -1328,6 +1651,7 @@ class ConstraintManager {
     this._display.clear();
     this._constraintPanel.innerHTML = '';
     this._checkboxConstraints.uncheckAll();
+    this._puzzleInfo.clear();
     this._outsideArrowConstraints.clear();
     this._customBinaryConstraints.clear();
     this._configs = [];
@@ -1501,16 +1825,21 @@ class GivenCandidates {
   reshape(shape) { this._shape = shape; }
 
   _inputDigit(cell, digit) {
+    const shape = this._shape;
     const values = this._givensMap.get(cell) || [];
-    const currValue = values.length == 1 ? values[0] : 0;
 
     let newValue;
     if (digit === null) {
       newValue = 0;
     } else {
-      const numValues = this._shape.numValues;
-      newValue = currValue * 10 + digit;
-      if (newValue > numValues) newValue = digit;
+      // Digits are typed as display values. Append to the current value if
+      // that is still valid, to allow entering multi-digit values.
+      newValue = shape.gridValue(digit);
+      if (values.length == 1) {
+        const appended = shape.gridValue(
+          shape.displayValue(values[0]) * 10 + digit);
+        if (appended <= shape.numValues) newValue = appended;
+      }
     }
 
     this._replaceValue(cell, newValue);
@@ -1546,6 +1875,11 @@ class GivenCandidates {
     this._givensUpdated();
   }
 
+  replaceValueIds(valueIds) {
+    this._givensMap = new Map();
+    this.setValueIds(valueIds);
+  }
+
   _givensUpdated() {
     this._display.drawGivens(this._givensMap);
     this._onChange();
@@ -1554,7 +1888,8 @@ class GivenCandidates {
   getConstraint() {
     const valueIds = [];
     for (const [cell, values] of this._givensMap) {
-      valueIds.push(`${cell}_${values.join('_')}`);
+      const displayValues = values.map(v => this._shape.displayValue(v));
+      valueIds.push(`${cell}_${displayValues.join('_')}`);
     }
     return new SudokuConstraint.Givens(...valueIds);
   }
@@ -1582,6 +1917,7 @@ class GridInputManager {
       onSetValuesMultiCell: [],
       onSelection: [],
     };
+    this._playHandler = null;
     // fake-input is an invisible text input which is used to ensure that
     // numbers can be entered on mobile.
     let fakeInput = document.getElementById('fake-input');
@@ -1621,6 +1957,11 @@ class GridInputManager {
 
   setGivenLookup(fn) { this._multiValueInputManager.setGivenLookup(fn); }
 
+  // In play mode, digits are sent to `fn(cellIds, digit, event)` instead of
+  // changing the givens. A null digit clears the cells, and `event` is the
+  // key event if there was one. Pass null to leave play mode.
+  setPlayHandler(fn) { this._playHandler = fn; }
+
   addSelectionPreserver(obj) {
     this._selection.addSelectionPreserver(obj);
   }
@@ -1648,6 +1989,16 @@ class GridInputManager {
       const cell = getActiveCell();
       if (!cell) return;
 
+      if (this._playHandler) {
+        const digit = parseInt(value);
+        if (value == '') {
+          this._playHandler([cell], null, null);
+        } else if (!Number.isNaN(digit)) {
+          this._playHandler([cell], digit, null);
+        }
+        return;
+      }
+
       if (value == '') {
         this._runCallbacks(this._callbacks.onSetValue, cell, null);
         return;
@@ -1666,8 +2017,11 @@ class GridInputManager {
       const shape = this._shape;
       let { row, col } = shape.parseCellId(cell);
       const gridSize = shape.gridSize;
-      row = (row + dr + gridSize) % gridSize;
-      col = (col + dc + gridSize) % gridSize;
+      // Skip over cells which aren't part of a composite layout.
+      do {
+        row = (row + dr + gridSize) % gridSize;
+        col = (col + dc + gridSize) % gridSize;
+      } while (!shape.isActiveCell(shape.cellIndex(row, col)));
 
       this._selection.setCells([shape.makeCellId(row, col)]);
     };
@@ -1684,8 +2038,30 @@ class GridInputManager {
       return;
     });
 
+    // Handle play mode key presses directly, so that modifiers can be used
+    // to choose the type of entry. Returns true if the key was handled.
+    const handlePlayKey = (event) => {
+      if (!this._playHandler) return false;
+      const cells = [...this._selection.getCells()];
+      if (!cells.length) return false;
+
+      if (event.key == 'Backspace' || event.key == 'Delete') {
+        this._playHandler(cells, null, event);
+        return true;
+      }
+      const match = event.code.match(/^(?:Digit|Numpad)(\d)$/);
+      if (!match) return false;
+      this._playHandler(cells, +match[1], event);
+      return true;
+    };
+
     fakeInput.addEventListener('keydown', event => {
       fakeInput.select(); // Restore the selection.
+      if (handlePlayKey(event)) {
+        // Don't also send an input event.
+        event.preventDefault();
+        return;
+      }
       switch (event.key) {
         // Arrow keys.
         case 'ArrowLeft':
@@ -1707,6 +2083,11 @@ class GridInputManager {
       if (document.activeElement.tagName === 'TEXTAREA' ||
         document.activeElement.tagName === 'INPUT') return;
       if (this._selection.size() == 0) return;
+      if (this._playHandler) {
+        if (handlePlayKey(event)) event.preventDefault();
+        // Givens can't be edited in play mode.
+        return;
+      }
       switch (event.key) {
         case 'c':
           for (const cell of this._selection.getCells()) {
@@ -1735,7 +2116,7 @@ class DropdownInputManager {
   _setUpDropdownInputManager(inputManager) {
     const dropdown = this._dropdownElem;
     dropdown.getElementsByClassName('dropdown-anchor')[0].onclick = (e) => {
-      if (this._currentSelection.length == 0) return;
+      if (this._currentSelection.length == 0 || !this._isUsable()) return;
       dropdown.classList.toggle('visible');
     };
 
@@ -1750,13 +2131,18 @@ class DropdownInputManager {
     // We don't have to worry about consistency as it uses the
     // latest value of _currentSelection.
     window.setTimeout(() => {
-      if (this._currentSelection.length == 0) {
+      if (this._currentSelection.length == 0 || !this._isUsable()) {
         this._dropdownElem.classList.add('disabled');
       } else {
         this._dropdownElem.classList.remove('disabled');
       }
     }, 100);
   };
+
+  // Whether the input can be used with the current shape.
+  _isUsable() {
+    return true;
+  }
 }
 
 class CustomBinaryConstraintManager extends DropdownInputManager {
@@ -1779,6 +2165,11 @@ class CustomBinaryConstraintManager extends DropdownInputManager {
     this._shape = shape;
   }
 
+  _isUsable() {
+    return !this._shape || SudokuConstraintBase.isSupportedByShape(
+      'Binary', this._shape);
+  }
+
   _setUp() {
     const form = this._containerElem;
     const errorElem = document.getElementById(
@@ -1794,7 +2185,7 @@ class CustomBinaryConstraintManager extends DropdownInputManager {
         const fn = Function(
           `return ((a,b)=>${fnStr})`)();
         key = SudokuConstraint[type].fnToKey(
-          fn, this._shape.numValues);
+          fn, this._shape.numValues, this._shape.valueOffset);
       } catch (e) {
         errorElem.textContent = e;
         return false;
@@ -1861,6 +2252,24 @@ class CustomBinaryConstraintManager extends DropdownInputManager {
     }
     return constraints;
   }
+
+  // Each group as a separate item.
+  getItems() {
+    const items = [];
+    for (const configs of this._configs.values()) {
+      for (const config of configs) {
+        items.push({
+          constraint: SudokuConstraint[config.type].makeFromGroups(
+            config.key,
+            [{ name: config.originalName, cells: config.cells }]),
+          name: config.name,
+          cells: config.cells,
+          elems: [config.panelItem],
+        });
+      }
+    }
+    return items;
+  }
 }
 
 class MultiValueInputManager extends DropdownInputManager {
@@ -1893,13 +2302,14 @@ class MultiValueInputManager extends DropdownInputManager {
       label.appendChild(input);
       const span = document.createElement('span');
       span.classList.add('button');
-      span.appendChild(document.createTextNode(i + 1));
+      span.appendChild(document.createTextNode(shape.displayValue(i + 1)));
       label.appendChild(span);
       this._dropdownBody.appendChild(label);
     }
 
     this._dropdownBody.style.setProperty(
-      'grid-template-columns', `repeat(${shape.boxWidth}, 1fr)`);
+      'grid-template-columns',
+      `repeat(${Math.ceil(Math.sqrt(shape.numValues))}, 1fr)`);
   }
 
   _setUp() {
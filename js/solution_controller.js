@@ -1,3 +1,133 @@
+// Compact encoding for constraint strings in the URL.
+// Encoded strings start with `~<version>~`, which can't be the start of a
+// plain constraint string. Runs of cell ids (`~R1C1~R1C2...`) are packed into
+// bytes, then the result is compressed and base64 encoded.
+class ShareUrlCodec {
+  static VERSION = 1;
+  static _PREFIX_REGEX = /^~(\d+)~/;
+  static _CELL_RUN_REGEX = /(?:~R[0-9a-z]C[0-9a-z](?![0-9A-Za-z]))+/g;
+  // Byte markers. The cell runs are followed by their length, then the cells.
+  static _SMALL_CELLS = 1;  // One byte per cell, for rows and columns <= 16.
+  static _LARGE_CELLS = 2;  // Two bytes per cell.
+  static _ESCAPE = 3;
+  static _MAX_RUN = 255;
+  static _COMPRESSION_FORMAT = 'deflate-raw';
+
+  static isEncoded(text) {
+    return this._PREFIX_REGEX.test(text);
+  }
+
+  // Returns the encoded text, or the original text if encoding doesn't make
+  // it shorter (so that simple puzzles keep readable URLs).
+  static async encode(text) {
+    if (typeof CompressionStream === 'undefined') return text;
+
+    const bytes = await this._transform(
+      this._pack(text), new CompressionStream(this._COMPRESSION_FORMAT));
+    const encoded = (
+      `~${this.VERSION}~` + Base64Codec.encodeBytes(bytes));
+    return (
+      this._urlLength(encoded) < this._urlLength(text) ? encoded : text);
+  }
+
+  // The length of `text` as a URL parameter, which uses form encoding (so
+  // e.g. `~` is escaped).
+  static _urlLength(text) {
+    return new URLSearchParams({ q: text }).toString().length;
+  }
+
+  static async decode(text) {
+    const match = text.match(this._PREFIX_REGEX);
+    if (!match) return text;
+    if (+match[1] !== this.VERSION) {
+      throw (`Unsupported URL version: ${match[1]}`);
+    }
+
+    const bytes = await this._transform(
+      Base64Codec.decodeToBytes(text.slice(match[0].length)),
+      new DecompressionStream(this._COMPRESSION_FORMAT));
+    return this._unpack(bytes);
+  }
+
+  static async _transform(bytes, stream) {
+    const response = new Response(
+      new Blob([bytes]).stream().pipeThrough(stream));
+    return new Uint8Array(await response.arrayBuffer());
+  }
+
+  static _pack(text) {
+    const bytes = [];
+    const addText = (t) => {
+      for (const b of new TextEncoder().encode(t)) {
+        if (b <= this._ESCAPE) bytes.push(this._ESCAPE);
+        bytes.push(b);
+      }
+    };
+
+    let index = 0;
+    for (const match of text.matchAll(this._CELL_RUN_REGEX)) {
+      addText(text.slice(index, match.index));
+      index = match.index + match[0].length;
+
+      // Each cell is `~RxCy`, with single character row and column.
+      const digits = [];
+      for (let i = 0; i < match[0].length; i += 5) {
+        digits.push([
+          parseInt(match[0][i + 2], 36), parseInt(match[0][i + 4], 36)]);
+      }
+      const isSmall = digits.every(
+        ([r, c]) => r >= 1 && r <= 16 && c >= 1 && c <= 16);
+      for (let i = 0; i < digits.length; i += this._MAX_RUN) {
+        const run = digits.slice(i, i + this._MAX_RUN);
+        bytes.push(isSmall ? this._SMALL_CELLS : this._LARGE_CELLS, run.length);
+        for (const [r, c] of run) {
+          if (isSmall) {
+            bytes.push((r - 1) << 4 | (c - 1));
+          } else {
+            bytes.push(r, c);
+          }
+        }
+      }
+    }
+    addText(text.slice(index));
+
+    return new Uint8Array(bytes);
+  }
+
+  static _unpack(bytes) {
+    const parts = [];
+    const textBytes = [];
+    const flushText = () => {
+      parts.push(new TextDecoder().decode(new Uint8Array(textBytes)));
+      textBytes.length = 0;
+    };
+    const cellId = (r, c) => `~R${r.toString(36)}C${c.toString(36)}`;
+
+    for (let i = 0; i < bytes.length; i++) {
+      const b = bytes[i];
+      if (b === this._ESCAPE) {
+        textBytes.push(bytes[++i]);
+      } else if (b === this._SMALL_CELLS || b === this._LARGE_CELLS) {
+        flushText();
+        const length = bytes[++i];
+        for (let j = 0; j < length; j++) {
+          if (b === this._SMALL_CELLS) {
+            const v = bytes[++i];
+            parts.push(cellId((v >> 4) + 1, (v & 15) + 1));
+          } else {
+            parts.push(cellId(bytes[++i], bytes[++i]));
+          }
+        }
+      } else {
+        textBytes.push(b);
+      }
+    }
+    flushText();
+
+    return parts.join('');
+  }
+}
+
 class HistoryHandler {
   MAX_HISTORY = 50;
   HISTORY_ADJUSTMENT = 10;
@@ -12,6 +142,7 @@ class HistoryHandler {
 
     this._history = [];
     this._historyLocation = -1;
+    this._urlUpdateCount = 0;
 
     this._undoButton = document.getElementById('undo-button');
     this._undoButton.onclick = () => this._incrementHistory(-1);
@@ -59,7 +190,14 @@ class HistoryHandler {
     this._redoButton.disabled = this._historyLocation >= this._history.length - 1;
   }
 
-  _updateUrl(params) {
+  async _updateUrl(params) {
+    // Encoding is async, so make sure that only the latest update is applied.
+    const updateCount = ++this._urlUpdateCount;
+    if (params.q) {
+      params = { ...params, q: await ShareUrlCodec.encode('' + params.q) };
+    }
+    if (updateCount !== this._urlUpdateCount) return;
+
     let url = new URL(window.location.href);
 
     for (const [key, value] of Object.entries(params)) {
@@ -76,8 +214,19 @@ class HistoryHandler {
     }
   }
 
-  _reloadFromUrl() {
+  async _reloadFromUrl() {
     let url = new URL(window.location.href);
+    const q = url.searchParams.get('q');
+    if (q && ShareUrlCodec.isEncoded(q)) {
+      // Don't let updates overwrite the URL while it is being decoded.
+      this._blockHistoryUpdates = true;
+      try {
+        url.searchParams.set('q', await ShareUrlCodec.decode(q));
+      } catch (e) {
+        // Leave the raw value, so that the user can see what failed.
+        console.error(e);
+      }
+    }
     this._addToHistory(url.searchParams.get('q'));
     this._onUpdate(url.searchParams);
   }
@@ -717,12 +866,16 @@ class SolverStateDisplay {
     'solveAllPossibilities': 'Solving',
     'nthSolution': 'Solving',
     'nthStep': '',
+    'nthLogicalStep': '',
     'countSolutions': 'Counting',
     'validateLayout': 'Validating',
+    'minimizeGivens': 'Minimizing',
+    'rateDifficulty': 'Rating',
+    'diagnose': 'Diagnosing',
     'terminate': 'Aborted',
   };
 
-  setSolveStatus(isSolving, method) {
+  setSolveStatus(isSolving, method, numWorkers) {
     if (!isSolving && method == 'terminate') {
       this._elements.solveStatus.textContent = this._METHOD_TO_STATUS[method];
       this._elements.progressContainer.classList.add('error');
@@ -730,7 +883,9 @@ class SolverStateDisplay {
     }
 
     if (isSolving) {
-      this._elements.solveStatus.textContent = this._METHOD_TO_STATUS[method];
+      let text = this._METHOD_TO_STATUS[method];
+      if (numWorkers > 1) text += ` (${numWorkers} workers)`;
+      this._elements.solveStatus.textContent = text;
     } else {
       this._elements.solveStatus.textContent = '';
     }
@@ -809,7 +964,7 @@ class SolverStateDisplay {
   }
 
   _updateProgressBar(state) {
-    const progress = state.done
+    const progress = (state.done || state.extra?.complete)
       ? 1
       : state.counters.progressRatio + state.counters.branchesIgnored;
     const percent = Math.round(progress * 100);
@@ -910,10 +1065,111 @@ class ModeHandler {
 ModeHandler.AllPossibilities = class extends ModeHandler {
   ITERATION_CONTROLS = true;
   ALLOW_DOWNLOAD = true;
+  ALLOW_ALT_CLICK = true;
 
-  constructor() {
+  constructor(shape) {
     super();
     this._pencilmarks = [];
+    this._shape = shape;
+    // The explanation for the last missing value which was clicked.
+    this._explanation = null;
+  }
+
+  // Explain why a value is missing from the pencilmarks.
+  async handleAltClick(index, cell, value, cellValues) {
+    if (index != 0 || !this.done() || !value) return;
+    if (this._explanation && !this._explanation.result) return;
+    const isPresent = isIterable(cellValues) ?
+      cellValues.has(value) : cellValues == value;
+    if (isPresent) return;
+
+    const explanation = { cell, value, result: null };
+    this._explanation = explanation;
+    explanation.result = await this._solver.explainCandidate(cell, value);
+    this._listener();
+  }
+
+  _makeExplanationResult({ cell, value, result }) {
+    const shape = this._shape;
+    const cellId = shape.makeCellIdFromIndex(cell);
+    const displayValue = shape.displayValue(value);
+    const highlightCells = new Set([cellId]);
+
+    const formatStep = (step) => {
+      for (const [changedCell, _] of step.changes) {
+        highlightCells.add(changedCell);
+      }
+      if (step.type == 'Assumption') {
+        const assumedValue = shape.displayValue(step.value);
+        return `Assume ${step.changes[0][0]} = ${assumedValue}`;
+      }
+      if (step.contradiction) {
+        return `${step.type} finds a contradiction`;
+      }
+      const removed = step.changes.map(([changedCell, values]) => (
+        values.map(v => shape.displayValue(v)).join(',') +
+        ' from ' + changedCell));
+      if (removed.length > 4) {
+        return `${step.type} removes values from ${removed.length} cells`;
+      }
+      return `${step.type} removes ${removed.join(', ')}`;
+    };
+    const makeStepList = (steps) => {
+      const list = document.createElement('ol');
+      for (const step of steps) {
+        const item = document.createElement('li');
+        item.textContent = formatStep(step);
+        list.appendChild(item);
+      }
+      return list;
+    };
+
+    const elem = document.createElement('div');
+    const addText = (text) => {
+      const textElem = document.createElement('div');
+      textElem.textContent = text;
+      elem.appendChild(textElem);
+    };
+    switch (result.type) {
+      case 'initial':
+        addText(
+          `${displayValue} is removed from ${cellId} by the puzzle ` +
+          `setup (e.g. a given).`);
+        break;
+      case 'propagation':
+        addText(`${displayValue} is removed from ${cellId} by:`);
+        elem.appendChild(makeStepList(result.steps));
+        break;
+      case 'contradiction':
+        addText(
+          `Placing ${displayValue} in ${cellId} leads to a contradiction:`);
+        elem.appendChild(makeStepList(result.steps));
+        break;
+      case 'branches':
+        highlightCells.add(result.branchCell);
+        addText(
+          `Placing ${displayValue} in ${cellId} leaves no value for ` +
+          `${result.branchCell}:`);
+        for (const branch of result.branches) {
+          addText(
+            `${result.branchCell} = ${shape.displayValue(branch.value)}:`);
+          elem.appendChild(makeStepList(branch.steps));
+        }
+        break;
+      case 'search':
+        addText(
+          `Placing ${displayValue} in ${cellId} has no solution, but this ` +
+          `can only be found by searching (${result.guesses} guesses).`);
+        break;
+      case 'possible':
+        addText(`${displayValue} is possible in ${cellId}.`);
+        break;
+    }
+
+    return {
+      actionResult: elem,
+      highlightCells: [...highlightCells],
+    };
   }
 
   async run(solver) {
@@ -952,9 +1208,16 @@ ModeHandler.AllPossibilities = class extends ModeHandler {
   }
 
   async get(i) {
-    if (i == 0) return {
-      solution: this._pencilmarks,
-      description: 'All possibilities',
+    if (i == 0) {
+      const result = {
+        solution: this._pencilmarks,
+        description: 'All possibilities',
+      };
+      if (this._explanation?.result) {
+        Object.assign(
+          result, this._makeExplanationResult(this._explanation));
+      }
+      return result;
     }
     return super.get(i);
   }
@@ -1012,11 +1275,12 @@ ModeHandler.StepByStep = class extends ModeHandler {
   ITERATION_CONTROLS = true;
   ALLOW_ALT_CLICK = true;
 
-  constructor() {
+  constructor(shape) {
     super();
     this._pending = null;
     this._numSteps = 0;
     this._stepGuides = new Map();
+    this._shape = shape;
   }
 
   setDone() { }
@@ -1033,7 +1297,8 @@ ModeHandler.StepByStep = class extends ModeHandler {
     return this._numSteps;
   }
 
-  handleAltClick(step, cell) {
+  handleAltClick(step, cell, value, cellValues) {
+    if (!isIterable(cellValues)) return;
     this._addStepGuideCell(step, cell);
     this._listener();
   }
@@ -1086,7 +1351,7 @@ ModeHandler.StepByStep = class extends ModeHandler {
 
         let valueLink = document.createElement('a');
         valueLink.href = 'javascript:void(0)';
-        valueLink.textContent = value;
+        valueLink.textContent = this._shape.displayValue(value);
         valueLink.onclick = this._addStepGuideValue.bind(this, i, value);
         statusElem.appendChild(valueLink);
       }
@@ -1115,6 +1380,59 @@ ModeHandler.StepByStep = class extends ModeHandler {
   }
 }
 
+ModeHandler.LogicalHints = class extends ModeHandler {
+  ITERATION_CONTROLS = true;
+
+  constructor() {
+    super();
+    this._numSteps = 0;
+  }
+
+  setDone() { }
+
+  minIndex() {
+    return 0;
+  }
+
+  count() {
+    return this._numSteps;
+  }
+
+  async get(i) {
+    const result = await this._solver.nthLogicalStep(i);
+    if (result == null) {
+      return {
+        description: `Step ${i} [Done]`,
+        diff: [],
+        solution: null,
+        highlightCells: [],
+      };
+    }
+
+    // The last step is the one which doesn't make progress.
+    if (result.status == 'step') {
+      if (i + 1 > this._numSteps) this._numSteps = i + 1;
+    } else {
+      this._numSteps = i;
+    }
+
+    const statusElem = document.createElement('div');
+    statusElem.textContent = result.description;
+    if (result.status == 'contradiction') statusElem.className = 'error';
+
+    let description = `Step ${i}`;
+    if (result.technique) description += ` (${result.technique})`;
+
+    return {
+      solution: result.pencilmarks,
+      diff: result.diffPencilmarks,
+      statusElem: statusElem,
+      description: description,
+      highlightCells: result.highlightCells,
+    };
+  }
+}
+
 ModeHandler.CountSolutions = class extends ModeHandler {
   add(...solutions) {
     this._solutions = [solutions.pop()];
@@ -1131,6 +1449,173 @@ ModeHandler.CountSolutions = class extends ModeHandler {
   }
 }
 
+ModeHandler.CandidateFrequencies = class extends ModeHandler {
+  constructor(shape) {
+    super();
+    this._shape = shape;
+    this._result = null;
+  }
+
+  async run(solver) {
+    await super.run(solver);
+    this._result = await this._solver.candidateFrequencies();
+    this._listener();
+  }
+
+  // The entropy of the values in a cell, which is highest for the cells where
+  // a given would split the solutions most evenly.
+  static _entropy(cellCounts, total) {
+    let entropy = 0;
+    for (const count of cellCounts) {
+      if (!count) continue;
+      const p = count / total;
+      entropy -= p * Math.log2(p);
+    }
+    return entropy;
+  }
+
+  async get(i) {
+    if (!this._result) return { solution: null };
+    const { counts, numSolutions, exact } = this._result;
+    if (!numSolutions) {
+      return {
+        solution: null,
+        actionResult: document.createTextNode('No solutions'),
+      };
+    }
+
+    const shape = this._shape;
+    const pencilmarks = [];
+    const heatmap = [];
+    let bestCell = null;
+    let bestEntropy = 0;
+    for (let cell = 0; cell < counts.length; cell++) {
+      const values = [];
+      counts[cell].forEach((count, v) => { if (count) values.push(v + 1); });
+      pencilmarks.push(values.length == 1 ? values[0] : new Set(values));
+
+      // Shade cells by how uncertain they are. This is capped at half
+      // opacity so that the pencilmarks stay readable.
+      const maxCount = Math.max(...counts[cell]);
+      heatmap.push(Math.round((1 - maxCount / numSolutions) * 500));
+
+      const entropy = this.constructor._entropy(counts[cell], numSolutions);
+      if (entropy > bestEntropy) {
+        bestEntropy = entropy;
+        bestCell = cell;
+      }
+    }
+
+    const summary = exact
+      ? `${numSolutions} solution${numSolutions == 1 ? '' : 's'}`
+      : `Estimated from ${numSolutions} sampled solutions`;
+    let suggestion = 'The solution is unique.';
+    if (bestCell !== null) {
+      const percentages = [];
+      counts[bestCell].forEach((count, v) => {
+        if (!count) return;
+        const percent = Math.round(count / numSolutions * 100);
+        percentages.push(`${shape.displayValue(v + 1)}: ${percent}%`);
+      });
+      suggestion = (
+        `Best cell to disambiguate: ${shape.makeCellIdFromIndex(bestCell)} ` +
+        `(${percentages.join(', ')})`);
+    }
+
+    return {
+      solution: pencilmarks,
+      heatmap: heatmap,
+      highlightCells: bestCell === null ?
+        [] : [shape.makeCellIdFromIndex(bestCell)],
+      actionResult: document.createTextNode(`${summary}. ${suggestion}`),
+    };
+  }
+}
+
+ModeHandler.SuggestClues = class extends ModeHandler {
+  constructor(shape, constraintManager) {
+    super();
+    this._shape = shape;
+    this._constraintManager = constraintManager;
+    this._result = null;
+  }
+
+  async run(solver) {
+    await super.run(solver);
+    this._result = await this._solver.suggestClues(
+      SudokuBuilder.candidateDotClues(this._shape));
+    this._listener();
+  }
+
+  _clueConstraint(clue) {
+    if (clue.type == 'Givens') {
+      return new SudokuConstraint.Givens(
+        `${clue.cells[0]}_${this._shape.displayValue(clue.value)}`);
+    }
+    return new SudokuConstraint[clue.type](...clue.cells);
+  }
+
+  _clueName(clue) {
+    switch (clue.type) {
+      case 'Givens':
+        return `${clue.cells[0]} = ${this._shape.displayValue(clue.value)}`;
+      case 'WhiteDot':
+        return `White dot between ${clue.cells.join(' and ')}`;
+      case 'BlackDot':
+        return `Black dot between ${clue.cells.join(' and ')}`;
+    }
+    return `${clue.type} on ${clue.cells.join(', ')}`;
+  }
+
+  _makeResultElem({ numSolutions, exact, clues }) {
+    const elem = document.createElement('div');
+    if (numSolutions < 2) {
+      elem.textContent = numSolutions
+        ? 'The solution is already unique.' : 'No solutions';
+      return elem;
+    }
+
+    const summary = document.createElement('div');
+    summary.textContent = exact
+      ? `${numSolutions} solutions. Remaining solutions after each clue:`
+      : `Estimated from ${numSolutions} sampled solutions. ` +
+      'Sampled solutions remaining after each clue:';
+    elem.appendChild(summary);
+
+    const uniqueClues = exact ? clues.filter(c => c.count == 1) : [];
+    if (uniqueClues.length) {
+      const callout = document.createElement('strong');
+      callout.textContent = (
+        `${this._clueName(uniqueClues[0])} makes the solution unique.`);
+      elem.appendChild(callout);
+    }
+
+    const list = document.createElement('ul');
+    for (const clue of clues) {
+      const item = document.createElement('li');
+      item.textContent = `${this._clueName(clue)}: ${clue.count} `;
+      const button = document.createElement('button');
+      button.textContent = 'Add';
+      button.onclick = () => this._constraintManager.addConstraint(
+        this._clueConstraint(clue));
+      item.appendChild(button);
+      list.appendChild(item);
+    }
+    elem.appendChild(list);
+    return elem;
+  }
+
+  async get(i) {
+    if (!this._result) return { solution: null };
+    return {
+      solution: null,
+      highlightCells: this._result.clues.length ?
+        this._result.clues[0].cells : [],
+      actionResult: this._makeResultElem(this._result),
+    };
+  }
+}
+
 ModeHandler.ValidateLayout = class extends ModeHandler {
   constructor() {
     super();
@@ -1152,6 +1637,102 @@ ModeHandler.ValidateLayout = class extends ModeHandler {
   }
 }
 
+ModeHandler.MinimizeGivens = class extends ModeHandler {
+  constructor(valueIds, shape, removeGivensFn) {
+    super();
+    this._valueIds = valueIds;
+    this._shape = shape;
+    this._removeGivensFn = removeGivensFn;
+    this._progress = null;
+    // Set to the result once the minimization is complete.
+    this._redundant = undefined;
+  }
+
+  async run(solver) {
+    await super.run(solver);
+    const givens = this._valueIds.map(valueId => {
+      const { cell, values } = this._shape.parseValueId(valueId);
+      return [cell, values];
+    });
+    this._redundant = await this._solver.minimizeGivens(givens);
+    this._listener();
+  }
+
+  setProgress(progress) {
+    this._progress = progress;
+    this._listener();
+  }
+
+  _makeResultElem(redundantIds) {
+    const elem = document.createElement('div');
+    if (!redundantIds.length) {
+      elem.textContent = 'All givens are required.';
+      return elem;
+    }
+
+    elem.textContent = (
+      `${redundantIds.length} of ${this._valueIds.length} givens are ` +
+      `redundant: ${redundantIds.join(', ')} `);
+    const button = document.createElement('button');
+    button.textContent = 'Remove redundant givens';
+    button.onclick = () => this._removeGivensFn(redundantIds);
+    elem.appendChild(button);
+    return elem;
+  }
+
+  async get() {
+    const result = { solution: null, highlightCells: [] };
+    if (this._redundant === null) {
+      result.actionResult = document.createTextNode(
+        'The givens do not have a unique solution.');
+      return result;
+    }
+
+    const redundantIndexes = this._redundant || this._progress?.redundant;
+    if (!redundantIndexes) return result;
+    const redundantIds = redundantIndexes.map(i => this._valueIds[i]);
+    result.highlightCells = redundantIds.map(
+      valueId => this._shape.parseValueId(valueId).cellId);
+
+    if (this._redundant) {
+      result.actionResult = this._makeResultElem(redundantIds);
+    } else {
+      result.actionResult = document.createTextNode(
+        `Tested ${this._progress.numTested} of ` +
+        `${this._progress.numGivens} givens...`);
+    }
+    return result;
+  }
+}
+
+ModeHandler.RateDifficulty = class extends ModeHandler {
+  constructor() {
+    super();
+    this._result = null;
+  }
+
+  async run(solver) {
+    await super.run(solver);
+    this._result = await this._solver.rateDifficulty();
+    this._listener();
+  }
+
+  static formatResult(result) {
+    let text = `Difficulty: ${result.score} (${result.band})`;
+    if (!result.unique) text += ' - the puzzle does not have a unique solution';
+    return text;
+  }
+
+  async get() {
+    if (this._result === null) return { solution: null };
+    return {
+      solution: null,
+      actionResult: document.createTextNode(
+        this.constructor.formatResult(this._result)),
+    };
+  }
+}
+
 class SolutionController {
   constructor(constraintManager, displayContainer) {
     // Solvers are a list in case we manage to start more than one. This can
@@ -1177,6 +1758,8 @@ class SolutionController {
     displayContainer.addElement(
       HighlightDisplay.makeRadialGradient('highlighted-step-gradient'));
 
+    this._infoOverlay = new InfoOverlay(displayContainer);
+
     this.debugManager = new DebugManager(displayContainer);
     constraintManager.addReshapeListener(this.debugManager);
 
@@ -1187,8 +1770,13 @@ class SolutionController {
       'all-possibilities': ModeHandler.AllPossibilities,
       'solutions': ModeHandler.AllSolutions,
       'count-solutions': ModeHandler.CountSolutions,
+      'candidate-frequencies': ModeHandler.CandidateFrequencies,
+      'suggest-clues': ModeHandler.SuggestClues,
       'step-by-step': ModeHandler.StepByStep,
+      'logical-hints': ModeHandler.LogicalHints,
       'validate-layout': ModeHandler.ValidateLayout,
+      'minimize-givens': ModeHandler.MinimizeGivens,
+      'rate-difficulty': ModeHandler.RateDifficulty,
     };
 
     this._elements = {
@@ -1205,6 +1793,10 @@ class SolutionController {
       stop: document.getElementById('stop-solver'),
       solve: document.getElementById('solve-button'),
       validate: document.getElementById('validate-layout-button'),
+      minimizeGivens: document.getElementById('minimize-givens-button'),
+      rateDifficulty: document.getElementById('rate-difficulty-button'),
+      diagnose: document.getElementById('diagnose-button'),
+      actionResult: document.getElementById('action-output'),
       autoSolve: document.getElementById('auto-solve-input'),
       download: document.getElementById('download-solutions-button'),
     }
@@ -1213,6 +1805,11 @@ class SolutionController {
     this._elements.stop.onclick = () => this._terminateSolver();
     this._elements.solve.onclick = () => this._solve();
     this._elements.validate.onclick = () => this._validateLayout();
+    this._elements.minimizeGivens.onclick = () => this._minimizeGivens();
+    this._elements.rateDifficulty.onclick = () => (
+      this._replaceAndRunSolver('rate-difficulty'));
+    this._elements.diagnose.onclick = () => this._diagnose();
+    this._conflictFinder = null;
 
     this._setUpAutoSolve();
     this._setUpKeyBindings(displayContainer);
@@ -1237,6 +1834,7 @@ class SolutionController {
     // likely to cause problems sending stale data.
     this._shape = shape;
     this._terminateSolver();
+    this._infoOverlay.reshape(shape);
   }
 
   _setUpAutoSolve() {
@@ -1313,7 +1911,8 @@ class SolutionController {
       const target = clickInterceptor.cellAt(e.offsetX, e.offsetY);
       if (target === null) return;
 
-      this._altClickHandler(target);
+      this._altClickHandler(
+        target, clickInterceptor.valueAt(e.offsetX, e.offsetY));
       e.preventDefault();
     });
   }
@@ -1323,6 +1922,11 @@ class SolutionController {
       promise.then(solver => solver.terminate());
     }
     this._solverPromises = [];
+    if (this._conflictFinder) {
+      this._conflictFinder.abort();
+      this._conflictFinder = null;
+      this._solveStatusChanged(false, 'terminate');
+    }
   }
 
   _showIterationControls(show) {
@@ -1331,14 +1935,24 @@ class SolutionController {
 
   static _MODE_DESCRIPTIONS = {
     'all-possibilities':
-      'Show all values which are present in any valid solution.',
+      'Show all values which are present in any valid solution. ' +
+      'Alt-click on a missing value to see why it is not possible.',
     'solutions':
       'View each solution.',
     'count-solutions':
       'Count the total number of solutions by iterating over all solutions.',
+    'candidate-frequencies':
+      'Shade each cell by how much its value varies between solutions, and ' +
+      'suggest the best cell for a new given. If there are too many ' +
+      'solutions, then a sample is used.',
+    'suggest-clues':
+      'Suggest givens and dots which remove the most solutions.',
     'step-by-step':
       'Step through the solving process. ' +
       'Alt-click on a cell to force the solver to resolve it next.',
+    'logical-hints':
+      'Step through the puzzle using human solving techniques, with an ' +
+      'explanation for each step.',
   };
 
   async _update() {
@@ -1356,7 +1970,7 @@ class SolutionController {
     let description = SolutionController._MODE_DESCRIPTIONS[mode];
     this._elements.modeDescription.textContent = description;
 
-    if (auto || mode === 'step-by-step') {
+    if (auto || mode === 'step-by-step' || mode === 'logical-hints') {
       this._solve(constraints);
     } else {
       this._resetSolver();
@@ -1368,8 +1982,11 @@ class SolutionController {
     this._stepHighlighter.setCells([]);
     this._solutionDisplay.setSolution();
     this._diffDisplay.clear();
+    this._infoOverlay.clear();
     this._stateDisplay.clear();
     this._setValidateResult();
+    this._setActionResult();
+    this._elements.diagnose.disabled = true;
     this.debugManager.clear();
     this._showIterationControls(false);
     this._currentModeHandler = null;
@@ -1379,7 +1996,10 @@ class SolutionController {
 
   async _solve(constraints) {
     const mode = this._elements.mode.value;
-    this._replaceAndRunSolver(mode, constraints);
+    // The shape is needed by handlers which display values, and the
+    // constraint manager by handlers which can add to the puzzle.
+    this._replaceAndRunSolver(
+      mode, constraints, this._shape, this._constraintManager);
   }
 
   async _validateLayout() {
@@ -1387,26 +2007,50 @@ class SolutionController {
     this._replaceAndRunSolver('validate-layout', constraints);
   }
 
-  async _replaceAndRunSolver(mode, constraints) {
+  async _minimizeGivens() {
+    const valueIds = this._constraintManager.getGivens();
+    const removeGivens = (redundantIds) => {
+      this._constraintManager.replaceGivens(
+        valueIds.filter(v => !redundantIds.includes(v)));
+    };
+    this._replaceAndRunSolver(
+      'minimize-givens',
+      this._constraintManager.getNonGivenConstraints(),
+      valueIds, this._shape, removeGivens);
+  }
+
+  async _replaceAndRunSolver(mode, constraints, ...handlerArgs) {
     constraints ||= this._constraintManager.getConstraints();
 
     this._resetSolver();
 
-    const handler = new this._modeHandlers[mode]();
+    const handler = new this._modeHandlers[mode](...handlerArgs);
 
     let newSolver = null;
     try {
-      const newSolverPromise = SudokuBuilder.buildInWorker(
-        constraints,
-        s => {
-          this._stateDisplay.setState(s);
-          if (s.extra && s.extra.solutions) {
-            handler.add(...s.extra.solutions);
-          }
-          if (s.done) { handler.setDone(); }
-        },
-        this._solveStatusChanged.bind(this),
-        this.debugManager);
+      const stateHandler = s => {
+        this._stateDisplay.setState(s);
+        if (s.extra && s.extra.solutions) {
+          handler.add(...s.extra.solutions);
+        }
+        if (s.extra && s.extra.minimizeGivens) {
+          handler.setProgress(s.extra.minimizeGivens);
+        }
+        if (s.done || s.extra?.complete) { handler.setDone(); }
+        if (s.done && !s.counters.solutions &&
+          this.constructor._DIAGNOSE_MODES.includes(mode)) {
+          this._elements.diagnose.disabled = false;
+        }
+      };
+      const numWorkers = this._numWorkers(mode);
+      const newSolverPromise = numWorkers > 1
+        ? SudokuBuilder.buildInParallelWorkers(
+          constraints, numWorkers, stateHandler,
+          this._solveStatusChanged.bind(this))
+        : SudokuBuilder.buildInWorker(
+          constraints, stateHandler,
+          this._solveStatusChanged.bind(this),
+          this.debugManager);
       this._solverPromises.push(newSolverPromise);
 
       newSolver = await newSolverPromise;
@@ -1423,13 +2067,77 @@ class SolutionController {
     this._runModeHandler(handler, newSolver);
   }
 
+  // Modes where the puzzle can be diagnosed if there are no solutions.
+  static _DIAGNOSE_MODES = ['all-possibilities', 'solutions', 'count-solutions'];
+
+  // Find and highlight a minimal set of constraints which have no solution.
+  async _diagnose() {
+    this._resetSolver();
+    const { base, items } = this._constraintManager.getConstraintItems();
+    const finder = new ConflictFinder(base, items);
+    this._conflictFinder = finder;
+
+    this._solveStatusChanged(true, 'diagnose');
+    this._setActionResult(document.createTextNode('Diagnosing...'));
+    let conflict;
+    try {
+      conflict = await finder.run((numTested, numRemaining) => {
+        this._setActionResult(document.createTextNode(
+          `Tested ${numTested} subsets, ${numRemaining} constraints left...`));
+      });
+    } catch (e) {
+      // If the finder was aborted, then the status has already been reset.
+      if (this._conflictFinder === finder) {
+        this._conflictFinder = null;
+        this._solveStatusChanged(false, 'terminate');
+        this._setActionResult();
+        this._elements.error.textContent = e.toString();
+      }
+      return;
+    }
+    this._conflictFinder = null;
+    this._solveStatusChanged(false, 'diagnose');
+
+    if (!conflict) {
+      this._setActionResult(
+        document.createTextNode('The puzzle has a solution.'));
+      return;
+    }
+    this._constraintManager.setConflictHighlight(conflict.items);
+    let text = conflict.items.length
+      ? 'These constraints can not be satisfied together: ' +
+      conflict.items.map(item => item.name).join(', ')
+      : 'The grid has no solution, even without any constraints.';
+    if (!conflict.isMinimal) {
+      text += ' (Possibly not minimal, as some searches timed out.)';
+    }
+    this._setActionResult(document.createTextNode(text));
+  }
+
+  // Modes which can split the search across multiple workers.
+  static _PARALLEL_MODES = ['count-solutions', 'all-possibilities'];
+  static _MAX_WORKERS = 8;
+
+  _numWorkers(mode) {
+    if (!this.constructor._PARALLEL_MODES.includes(mode)) return 1;
+    // Debug logs only make sense for a single search.
+    if (this.debugManager.getOptions()) return 1;
+    return Math.min(
+      navigator.hardwareConcurrency || 1, this.constructor._MAX_WORKERS);
+  }
+
   _setValidateResult(text) {
     this._elements.validateResult.textContent = text || '';
   }
 
-  _solveStatusChanged(isSolving, method) {
+  _setActionResult(elem) {
+    clearDOMNode(this._elements.actionResult);
+    if (elem) this._elements.actionResult.appendChild(elem);
+  }
+
+  _solveStatusChanged(isSolving, method, numWorkers) {
     this._isSolving = isSolving;
-    this._stateDisplay.setSolveStatus(isSolving, method);
+    this._stateDisplay.setSolveStatus(isSolving, method, numWorkers);
 
     if (isSolving) {
       this._elements.stop.disabled = false;
@@ -1464,9 +2172,15 @@ class SolutionController {
         if (result.validateResult) {
           this._setValidateResult(result.validateResult);
         }
+        if (result.actionResult) {
+          this._setActionResult(result.actionResult);
+        }
         if (result.highlightCells) {
           this._stepHighlighter.setCells(result.highlightCells);
         }
+        if (result.heatmap) {
+          this._infoOverlay.setHeatmapValues(result.heatmap);
+        }
       }
       this._solutionDisplay.setSolution(currentSolution);
 
@@ -1528,10 +2242,11 @@ class SolutionController {
     }
 
     if (handler.ALLOW_ALT_CLICK) {
-      this._altClickHandler = (cell) => {
+      this._altClickHandler = (cell, value) => {
         let cellIndex = this._shape.parseCellId(cell).cell;
-        if (!currentSolution || !isIterable(currentSolution[cellIndex])) return;
-        handler.handleAltClick(index, cellIndex);
+        if (!currentSolution) return;
+        handler.handleAltClick(
+          index, cellIndex, value, currentSolution[cellIndex]);
       }
     }
 
@@ -33,7 +33,23 @@ class SudokuSolver {
     if (this._progressCallback) this._progressCallback(extraState);
   }
 
-  countSolutions() {
+  // Send the last progress for a task which is complete, even if its searches
+  // stopped early. The search itself is not marked as done.
+  _sendFinalProgress() {
+    const extraStateFn = this._progressExtraStateFn;
+    this._progressExtraStateFn = () => ({
+      ...(extraStateFn && extraStateFn()),
+      complete: true,
+    });
+    this._sendProgress();
+    this._progressExtraStateFn = null;
+  }
+
+  // Count the solutions, stopping early if more than `limit` solutions are
+  // found. The search is only finished if the count is exact, and the result
+  // is at most `limit`.
+  // A `limit` of 0 (or undefined) means count all solutions.
+  countSolutions(limit) {
     this._reset();
 
     // Add a sample solution to the state updates, but only if a different
@@ -55,6 +71,9 @@ class SudokuSolver {
         if (sampleSolution == null) {
           sampleSolution = SudokuSolver.Util.gridToSolution(result.grid);
         }
+        // Look for one more solution than the limit, so that an exact count
+        // of `limit` solutions is reported as finished.
+        if (limit && this._internalSolver.counters.solutions > limit) break;
       }
     });
 
@@ -63,7 +82,8 @@ class SudokuSolver {
 
     this._progressExtraStateFn = null;
 
-    return this._internalSolver.counters.solutions;
+    const count = this._internalSolver.counters.solutions;
+    return limit ? Math.min(count, limit) : count;
   }
 
   nthSolution(n) {
@@ -145,7 +165,7 @@ class SudokuSolver {
   solveAllPossibilities() {
     this._reset();
 
-    let valuesInSolutions = new Uint16Array(this._shape.numCells);
+    let valuesInSolutions = new Uint32Array(this._shape.numCells);
     let solutions = [];
 
     // Send the current values with the progress update, if there have
@@ -169,6 +189,58 @@ class SudokuSolver {
     return SudokuSolver.Util.makePencilmarks(valuesInSolutions);
   }
 
+  // Split the search space into about `numParts` disjoint parts, so that they
+  // can be searched independently (e.g. in separate workers).
+  // See InternalSolver.splitSearch.
+  splitSearch(numParts) {
+    this._reset();
+
+    let result = null;
+    this._timer.runTimed(() => {
+      result = this._internalSolver.splitSearch(numParts);
+    });
+    return result;
+  }
+
+  // Restrict all following searches to the part of the search space given
+  // by `restrictions` (from splitSearch). Replaces any previous restrictions.
+  setSearchRestrictions(restrictions) {
+    this._internalSolver.setSearchRestrictions(restrictions);
+  }
+
+  // Explain why `value` is not possible in `cell`.
+  // See InternalSolver.explainCandidate for the types of explanation.
+  // Steps are returned with cell ids and handler names, so that they can be
+  // displayed.
+  explainCandidate(cell, value) {
+    this._reset();
+
+    let result = null;
+    this._timer.runTimed(() => {
+      result = this._internalSolver.explainCandidate(cell, value);
+    });
+
+    const shape = this._shape;
+    const convertSteps = (steps) => steps.map(step => ({
+      type: step.handler ? step.handler.constructor.name : 'Assumption',
+      cells: step.handler ?
+        Array.from(step.handler.cells, c => shape.makeCellIdFromIndex(c)) :
+        [],
+      changes: step.changes.map(([c, values]) => [
+        shape.makeCellIdFromIndex(c), LookupTables.toValuesArray(values)]),
+      contradiction: step.contradiction,
+      value: step.value && LookupTables.toValue(step.value),
+    }));
+    if (result.steps) result.steps = convertSteps(result.steps);
+    if (result.branches) {
+      result.branchCell = shape.makeCellIdFromIndex(result.branchCell);
+      for (const branch of result.branches) {
+        branch.steps = convertSteps(branch.steps);
+      }
+    }
+    return result;
+  }
+
   validateLayout() {
     this._reset();
 
@@ -180,6 +252,277 @@ class SudokuSolver {
     return result;
   }
 
+  static DIFFICULTY_NUM_SEEDS = 5;
+  // Upper bound (exclusive) of the score for each band.
+  static DIFFICULTY_BANDS = [
+    [1, 'easy'],
+    [5, 'medium'],
+    [10, 'hard'],
+    [Infinity, 'extreme'],
+  ];
+
+  // Rate the difficulty by how much searching is needed to find the solution
+  // and prove that it is unique. The search is repeated with several cell
+  // orders and averaged, so that the rating doesn't depend on lucky guesses.
+  // The score is log2(1 + average guesses), so 0 means no guesses are needed.
+  rateDifficulty(numSeeds) {
+    numSeeds ||= this.constructor.DIFFICULTY_NUM_SEEDS;
+    this._reset();
+
+    const internalSolver = this._internalSolver;
+    const average = {
+      guesses: 0,
+      backtracks: 0,
+      valuesTried: 0,
+      constraintsProcessed: 0,
+    };
+    let numSolutions = 0;
+
+    this._timer.runTimed(() => {
+      for (let seed = 0; seed < numSeeds; seed++) {
+        internalSolver.setCellOrderSeed(seed);
+        internalSolver.reset();
+
+        numSolutions = 0;
+        for (const _ of internalSolver.run()) {
+          if (++numSolutions == 2) break;
+        }
+        for (const key in average) {
+          average[key] += internalSolver.counters[key] / numSeeds;
+        }
+        this._sendProgress();
+      }
+    });
+    internalSolver.setCellOrderSeed(0);
+
+    const score = Math.round(Math.log2(1 + average.guesses) * 100) / 100;
+    const band = this.constructor.DIFFICULTY_BANDS.find(([max, _]) => score < max)[1];
+    return {
+      score: score,
+      band: band,
+      unique: numSolutions == 1,
+      numSeeds: numSeeds,
+      average: average,
+    };
+  }
+
+  // Find givens which can be removed while keeping the solution unique.
+  // `givens` is a list of [cell, values] pairs, which are tried in order.
+  // Each redundant given is removed before trying the next one, so the
+  // remaining givens still have a unique solution.
+  // Returns the indexes (into `givens`) of the redundant givens, or null if
+  // the puzzle does not have a unique solution.
+  minimizeGivens(givens) {
+    this._reset();
+
+    const allValues = LookupTables.get(this._shape.numValues).allValues;
+    const restrictions = new Uint32Array(this._shape.numCells).fill(allValues);
+    for (const [cell, values] of givens) {
+      restrictions[cell] &= LookupTables.fromValuesArray(values);
+    }
+
+    const redundant = [];
+    let numTested = 0;
+    this._progressExtraStateFn = () => ({
+      minimizeGivens: {
+        numTested: numTested,
+        numGivens: givens.length,
+        redundant: redundant.slice(),
+      }
+    });
+
+    let result = null;
+    this._timer.runTimed(() => {
+      const [count, _] = this._internalSolver.countWithRestrictions(
+        restrictions, 2);
+      if (count != 1) return;
+
+      for (let i = 0; i < givens.length; i++) {
+        const cell = givens[i][0];
+        const given = restrictions[cell];
+        restrictions[cell] = allValues;
+        const [count, _] = this._internalSolver.countWithRestrictions(
+          restrictions, 2);
+        if (count == 1) {
+          redundant.push(i);
+        } else {
+          restrictions[cell] = given;
+        }
+        numTested++;
+        this._sendProgress();
+      }
+      result = redundant;
+    });
+
+    // Each search may have stopped early, but the minimization is complete.
+    this._sendFinalProgress();
+
+    return result;
+  }
+
+  static FREQUENCY_SOLUTION_LIMIT = 10000;
+  static FREQUENCY_NUM_SAMPLES = 100;
+  static MAX_SUGGESTED_CLUES = 10;
+
+  // Count how often each value appears in each cell, over all solutions.
+  // See _collectSolutions for `limit` and `numSamples`.
+  // Returns {counts, numSolutions, exact} where counts[cell][value-1] is the
+  // number of solutions tallied with `value` in `cell`.
+  candidateFrequencies(limit, numSamples) {
+    this._reset();
+
+    let result = null;
+    this._timer.runTimed(() => {
+      const { solutions, exact } = this._collectSolutions(limit, numSamples);
+      result = {
+        counts: this._candidateCounts(solutions),
+        numSolutions: solutions.length,
+        exact: exact,
+      };
+    });
+
+    this._sendFinalProgress();
+
+    return result;
+  }
+
+  // Find the clues which would remove the most solutions if they were added.
+  // Each given is tried, along with each of `pairClues`: a list of
+  // {type, cells, key} where `key` is a binary key (see SudokuConstraint.Binary)
+  // for the pair of cell indexes `cells`.
+  // See _collectSolutions for `limit` and `numSamples`.
+  // Returns {numSolutions, exact, clues} where clues is a list of
+  // {type, cells, value, count}, with the fewest remaining solutions first.
+  // `count` is the number of solutions tallied which satisfy the clue, so a
+  // count of 1 means the clue makes the solution unique (if `exact`).
+  suggestClues(pairClues, limit, numSamples) {
+    this._reset();
+
+    const shape = this._shape;
+    const lookupTables = LookupTables.get(shape.numValues);
+    let result = null;
+    this._timer.runTimed(() => {
+      const { solutions, exact } = this._collectSolutions(limit, numSamples);
+      const numSolutions = solutions.length;
+      // Only clues which keep some, but not all, solutions are useful.
+      const clues = [];
+      const addClue = (clue) => {
+        if (clue.count && clue.count < numSolutions) clues.push(clue);
+      };
+
+      const counts = this._candidateCounts(solutions);
+      for (let cell = 0; cell < counts.length; cell++) {
+        counts[cell].forEach((count, v) => addClue({
+          type: 'Givens',
+          cells: [shape.makeCellIdFromIndex(cell)],
+          value: v + 1,
+          count: count,
+        }));
+      }
+      // Binary keys can't be used with larger grids.
+      if (shape.numValues > LookupTables.MAX_TABLE_VALUES) pairClues = [];
+      for (const { type, cells, key } of pairClues || []) {
+        const table = lookupTables.forBinaryKey(key)[0];
+        let count = 0;
+        for (const grid of solutions) {
+          if (table[grid[cells[0]]] & grid[cells[1]]) count++;
+        }
+        addClue({
+          type: type,
+          cells: cells.map(c => shape.makeCellIdFromIndex(c)),
+          count: count,
+        });
+      }
+
+      clues.sort((a, b) => a.count - b.count);
+      result = {
+        numSolutions: numSolutions,
+        exact: exact,
+        clues: clues.slice(0, this.constructor.MAX_SUGGESTED_CLUES),
+      };
+    });
+
+    this._sendFinalProgress();
+
+    return result;
+  }
+
+  // Collect all the solution grids, or `numSamples` random solutions if there
+  // are more than `limit`. The samples are not uniform, so anything counted
+  // from them is only an estimate.
+  // Returns {solutions, exact}, where exact is false if the solutions were
+  // sampled.
+  _collectSolutions(limit, numSamples) {
+    limit ||= this.constructor.FREQUENCY_SOLUTION_LIMIT;
+    numSamples ||= this.constructor.FREQUENCY_NUM_SAMPLES;
+
+    const internalSolver = this._internalSolver;
+    const solutions = [];
+    let exact = true;
+    this._progressExtraStateFn = () => ({
+      collectSolutions: { numSolutions: solutions.length, exact: exact },
+    });
+
+    for (const result of internalSolver.run(
+      SudokuSolver.InternalSolver.YIELD_ON_SOLUTION)) {
+      if (solutions.length == limit) {
+        exact = false;
+        break;
+      }
+      solutions.push(result.grid.slice());
+    }
+
+    if (!exact) {
+      // There are too many solutions to enumerate, so sample instead.
+      solutions.length = 0;
+      for (let i = 0; i < numSamples; i++) {
+        const generator = new SudokuSolver.PuzzleGenerator(
+          internalSolver, this._shape, { seed: i + 1 });
+        solutions.push(generator.randomSolution(() => this._sendProgress()));
+        this._sendProgress();
+      }
+    }
+
+    return { solutions: solutions, exact: exact };
+  }
+
+  _candidateCounts(solutions) {
+    const shape = this._shape;
+    const counts = Array.from(
+      { length: shape.numCells }, () => new Array(shape.numValues).fill(0));
+    for (const grid of solutions) {
+      for (let i = 0; i < grid.length; i++) {
+        counts[i][LookupTables.toValue(grid[i]) - 1]++;
+      }
+    }
+    return counts;
+  }
+
+  // Generate a puzzle with a unique solution by adding givens to the
+  // constraints this solver was built with.
+  // See SudokuSolver.PuzzleGenerator for the options.
+  generatePuzzle(options) {
+    this._reset();
+
+    const generator = new SudokuSolver.PuzzleGenerator(
+      this._internalSolver, this._shape, options);
+
+    // Report how many givens remain with each progress update.
+    this._progressExtraStateFn = () => ({
+      generator: { numGivens: generator.numGivens() },
+    });
+
+    let result = null;
+    this._timer.runTimed(() => {
+      result = generator.generate(() => this._sendProgress());
+    });
+
+    this._sendProgress();
+    this._progressExtraStateFn = null;
+
+    return result;
+  }
+
   debugState() {
     return this._debugLogger.getDebugState();
   }
@@ -233,6 +576,146 @@ SudokuSolver.Util = class {
   }
 };
 
+// Generates puzzles by first finding a random solution, then removing givens
+// while the solution remains unique.
+// Options:
+//  seed: Seed for the RandomIntGenerator. The same seed and constraints
+//        always produce the same puzzle.
+//  targetNumGivens: Stop removing givens once there are this many. If 0 then
+//        givens are removed until no more can be removed.
+//  symmetry: One of SudokuSolver.PuzzleGenerator.SYMMETRIES. Givens in the
+//        same symmetry orbit are removed together.
+SudokuSolver.PuzzleGenerator = class {
+  static SYMMETRIES = ['none', 'rotational', 'diagonal'];
+
+  constructor(internalSolver, shape, options) {
+    options ||= {};
+    this._internalSolver = internalSolver;
+    this._shape = shape;
+    this._random = new RandomIntGenerator(options.seed);
+    this._targetNumGivens = options.targetNumGivens || 0;
+    this._symmetry = options.symmetry || 'none';
+    if (!this.constructor.SYMMETRIES.includes(this._symmetry)) {
+      throw ('Unknown symmetry: ' + this._symmetry);
+    }
+
+    this._numGivens = shape.numCells;
+  }
+
+  numGivens() {
+    return this._numGivens;
+  }
+
+  // Returns { solution, givens } where givens is a list of cell indexes, or
+  // null if the constraints have no solution.
+  generate(onProgress) {
+    const solution = this.randomSolution(onProgress);
+    if (!solution) return null;
+
+    const givens = this._removeGivens(solution, onProgress);
+    return {
+      solution: SudokuSolver.Util.gridToSolution(solution),
+      givens: givens,
+    };
+  }
+
+  _shuffledCells() {
+    const cells = this._shape.allCells.slice();
+    shuffleArray(cells, this._random);
+    return cells;
+  }
+
+  // Find a random solution by fixing each cell to a random value, in a
+  // random order, and checking that the puzzle is still solvable.
+  // Returns null if there is no solution.
+  randomSolution(onProgress) {
+    const numCells = this._shape.numCells;
+    const allValues = LookupTables.get(this._shape.numValues).allValues;
+    const restrictions = new Uint32Array(numCells).fill(allValues);
+
+    let [count, solution] = this._internalSolver.countWithRestrictions(
+      restrictions, 1);
+    if (!count) return null;
+
+    for (const cell of this._shuffledCells()) {
+      const options = LookupTables.toValuesArray(restrictions[cell]);
+      const value = LookupTables.fromValue(
+        options[this._random.randomInt(options.length - 1)]);
+      restrictions[cell] = value;
+
+      // We only need to search if the value differs from the solution we
+      // already have.
+      if (solution[cell] != value) {
+        const [newCount, newSolution] = (
+          this._internalSolver.countWithRestrictions(restrictions, 1));
+        if (newCount) {
+          solution = newSolution;
+        } else {
+          // Fall back to the value from the known solution.
+          restrictions[cell] = solution[cell];
+        }
+        onProgress();
+      }
+    }
+
+    return solution;
+  }
+
+  _symmetryOrbits() {
+    const shape = this._shape;
+    const seen = new Uint8Array(shape.numCells);
+    const orbits = [];
+    for (const cell of shape.allCells) {
+      if (seen[cell]) continue;
+      const [row, col] = shape.splitCellIndex(cell);
+      const orbit = [cell];
+      switch (this._symmetry) {
+        case 'rotational':
+          orbit.push(shape.cellIndex(
+            shape.gridSize - 1 - row, shape.gridSize - 1 - col));
+          break;
+        case 'diagonal':
+          orbit.push(shape.cellIndex(col, row));
+          break;
+      }
+      const uniqueOrbit = [...new Set(orbit)];
+      uniqueOrbit.forEach(c => seen[c] = 1);
+      orbits.push(uniqueOrbit);
+    }
+    return orbits;
+  }
+
+  // Remove givens one orbit at a time, keeping the removal only if the
+  // solution remains unique.
+  _removeGivens(solution, onProgress) {
+    const allValues = LookupTables.get(this._shape.numValues).allValues;
+    const restrictions = solution.slice();
+
+    const orbits = this._symmetryOrbits();
+    shuffleArray(orbits, this._random);
+
+    for (const orbit of orbits) {
+      if (this._numGivens <= this._targetNumGivens) break;
+
+      orbit.forEach(c => restrictions[c] = allValues);
+      const [count, _] = this._internalSolver.countWithRestrictions(
+        restrictions, 2);
+      if (count == 1) {
+        this._numGivens -= orbit.length;
+      } else {
+        orbit.forEach(c => restrictions[c] = solution[c]);
+      }
+      onProgress();
+    }
+
+    const givens = [];
+    for (let i = 0; i < restrictions.length; i++) {
+      if (restrictions[i] != allValues) givens.push(i);
+    }
+    return givens;
+  }
+};
+
 SudokuSolver.DebugLogger = class {
   constructor(solver, debugOptions) {
     this._solver = solver;
@@ -300,7 +783,11 @@ SudokuSolver.InternalSolver = class {
       this._initialGrid.fill(allValues);
     }
 
+    // The initial grid before any search restrictions were applied.
+    this._unrestrictedInitialGrid = null;
+
     this._runCounter = 0;
+    this._cellOrderSeed = 0;
     this._progress = {
       frequencyMask: -1,
       callback: null,
@@ -468,12 +955,19 @@ SudokuSolver.InternalSolver = class {
     // Preserve backtrack triggers between runs (since this is currently only
     // used internally).
     // Candidate selector must be made aware of the new backtrack triggers.
-    this._candidateSelector.reset(this._backtrackTriggers);
+    this._candidateSelector.reset(
+      this._backtrackTriggers, this._cellOrderSeed);
 
     this.done = false;
     this._atStart = true;
   }
 
+  // Set the seed used to shuffle the initial cell order. A seed of 0 uses the
+  // default order. Takes effect on the next reset.
+  setCellOrderSeed(seed) {
+    this._cellOrderSeed = seed;
+  }
+
   getBacktrackTriggers() {
     return this._backtrackTriggers.slice();
   }
@@ -487,7 +981,7 @@ SudokuSolver.InternalSolver = class {
     return false;
   }
 
-  static _debugGridBuffer = new Uint16Array(SHAPE_MAX.numCells);
+  static _debugGridBuffer = new Uint32Array(GridShape.MAX_NUM_CELLS);
 
   _debugEnforceConsistency(loc, grid, handler, handlerAccumulator) {
     const oldGrid = this.constructor._debugGridBuffer.subarray(0, grid.length);
@@ -552,12 +1046,35 @@ SudokuSolver.InternalSolver = class {
     return true;
   }
 
+  // Like _enforceConstraints, but records each handler which changes the grid
+  // (or finds a contradiction) in `trace`.
+  _enforceConstraintsTraced(grid, handlerAccumulator, trace) {
+    const oldGrid = this.constructor._debugGridBuffer.subarray(0, grid.length);
+
+    while (!handlerAccumulator.isEmpty()) {
+      const handler = handlerAccumulator.takeNext();
+      oldGrid.set(grid);
+      const result = handler.enforceConsistency(grid, handlerAccumulator);
+
+      const changes = [];
+      for (let i = 0; i < grid.length; i++) {
+        if (oldGrid[i] != grid[i]) changes.push([i, oldGrid[i] & ~grid[i]]);
+      }
+      if (changes.length || !result) {
+        trace.push({ handler, changes, contradiction: !result });
+      }
+      if (!result) return false;
+    }
+
+    return true;
+  }
+
   setStepState(updates) {
     if (this._stepState == null) {
       this._stepState = {
         stepGuides: null,
         step: 0,
-        oldGrid: new Uint16Array(this._numCells),
+        oldGrid: new Uint32Array(this._numCells),
       };
     }
     for (const [key, value] of Object.entries(updates)) {
@@ -569,7 +1086,7 @@ SudokuSolver.InternalSolver = class {
     const numCells = this._numCells;
 
     const gridBuffer = new ArrayBuffer(
-      (numCells + 1) * numCells * Uint16Array.BYTES_PER_ELEMENT);
+      (numCells + 1) * numCells * Uint32Array.BYTES_PER_ELEMENT);
 
     const recStack = [];
     for (let i = 0; i < numCells + 1; i++) {
@@ -578,9 +1095,9 @@ SudokuSolver.InternalSolver = class {
         progressRemaining: 1.0,
         lastContradictionCell: -1,
         newNode: true,
-        grid: new Uint16Array(
+        grid: new Uint32Array(
           gridBuffer,
-          i * numCells * Uint16Array.BYTES_PER_ELEMENT,
+          i * numCells * Uint32Array.BYTES_PER_ELEMENT,
           numCells),
       });
     }
@@ -828,6 +1345,249 @@ SudokuSolver.InternalSolver = class {
     return result;
   }
 
+  // Search with the initial grid restricted to `restrictions`, stopping
+  // after `limit` solutions.
+  // Returns [count, firstSolution] where firstSolution is a copy of the grid.
+  countWithRestrictions(restrictions, limit) {
+    const originalInitialGrid = this._initialGrid.slice();
+    this._resetRun();
+
+    let count = 0;
+    let firstSolution = null;
+    for (let i = 0; i < this._numCells; i++) {
+      this._initialGrid[i] &= restrictions[i];
+    }
+    if (!this._initialGrid.includes(0)) {
+      for (const result of this.run()) {
+        if (!count) firstSolution = result.grid.slice();
+        if (++count >= limit) break;
+      }
+    }
+
+    this._initialGrid = originalInitialGrid;
+    return [count, firstSolution];
+  }
+
+  // Split the search space by branching on the cells with the fewest
+  // candidates, always splitting the largest remaining part.
+  // Returns a list of {restrictions, weight}, where restrictions is a list of
+  // [cell, values] pairs and weight is the fraction of the search space
+  // covered by the part. Parts with a contradiction are omitted, so the
+  // weights may sum to less than 1.
+  splitSearch(numParts) {
+    const numCells = this._numCells;
+    const grid = new Uint32Array(numCells);
+
+    const propagate = (restrictions) => {
+      grid.set(this._initialGrid);
+      for (const [cell, values] of restrictions) grid[cell] &= values;
+      const handlerAccumulator = this._handlerAccumulator;
+      handlerAccumulator.reset(false);
+      for (let i = 0; i < numCells; i++) handlerAccumulator.addForCell(i);
+      return (
+        this._enforceConstraints(grid, handlerAccumulator) &&
+        !grid.includes(0));
+    };
+
+    const parts = [{ restrictions: [], weight: 1 }];
+    // Parts which have no cells left to branch on.
+    const solvedParts = [];
+    while (parts.length && parts.length + solvedParts.length < numParts) {
+      parts.sort((a, b) => a.weight - b.weight);
+      const part = parts.pop();
+      if (!propagate(part.restrictions)) continue;
+
+      let bestCell = -1;
+      let minCount = Infinity;
+      for (let i = 0; i < numCells; i++) {
+        const count = countOnes(grid[i]);
+        if (count > 1 && count < minCount) {
+          bestCell = i;
+          minCount = count;
+        }
+      }
+      if (bestCell == -1) {
+        solvedParts.push(part);
+        continue;
+      }
+
+      for (let values = grid[bestCell]; values; values &= values - 1) {
+        parts.push({
+          restrictions: [...part.restrictions, [bestCell, values & -values]],
+          weight: part.weight / minCount,
+        });
+      }
+    }
+
+    // The search must not start from a contradiction, so remove any parts
+    // which were never checked.
+    return [...parts.filter(p => propagate(p.restrictions)), ...solvedParts];
+  }
+
+  static _MAX_EXPLANATION_STEPS = 12;
+  static _MAX_BRANCH_CELLS = 20;
+
+  // Find a short explanation of why `value` is not possible in `cell`.
+  // Returns one of:
+  //  {type: 'initial'}: The value was removed when setting up the constraints
+  //    (e.g. by a given).
+  //  {type: 'propagation', steps}: The constraints remove the value directly.
+  //  {type: 'contradiction', steps}: Placing the value leads to a
+  //    contradiction.
+  //  {type: 'branches', steps, branchCell, branches}: After placing the value
+  //    (steps), every value for branchCell leads to a contradiction.
+  //  {type: 'search', guesses}: Only a search finds that there is no solution.
+  //  {type: 'possible'}: The value is in a solution.
+  // Steps are {handler, changes, contradiction}, where changes are
+  // [cell, removed values]. Assumptions have a null handler, and the assumed
+  // value.
+  explainCandidate(cell, value) {
+    const numCells = this._numCells;
+    const handlerAccumulator = this._handlerAccumulator;
+    const valueMask = LookupTables.fromValue(value);
+    if (!(this._initialGrid[cell] & valueMask)) return { type: 'initial' };
+
+    // Enforce the constraints after `cells` change. As in the search, cells
+    // which become fixed are then propagated as fixed cells.
+    const propagate = (state, cells) => {
+      const { grid, trace, isFixed } = state;
+      handlerAccumulator.reset(false);
+      for (const c of cells) handlerAccumulator.addForCell(c);
+      while (true) {
+        if (!this._enforceConstraintsTraced(grid, handlerAccumulator, trace)) {
+          return false;
+        }
+        let newFixed = false;
+        for (let c = 0; c < numCells; c++) {
+          if (!isFixed[c] && countOnes(grid[c]) == 1) {
+            isFixed[c] = 1;
+            handlerAccumulator.addForFixedCell(c);
+            newFixed = true;
+          }
+        }
+        if (!newFixed) return true;
+      }
+    };
+    const assume = (state, c, v) => {
+      state.trace.push({
+        handler: null,
+        changes: [[c, state.grid[c] & ~v]],
+        contradiction: false,
+        value: v,
+      });
+      state.grid[c] = v;
+      return propagate(state, [c]);
+    };
+    const copyState = (state) => ({
+      grid: state.grid.slice(),
+      trace: state.trace.slice(),
+      isFixed: state.isFixed.slice(),
+    });
+
+    const state = {
+      grid: this._initialGrid.slice(),
+      trace: [],
+      isFixed: new Uint8Array(numCells),
+    };
+    const { grid, trace } = state;
+    if (!propagate(state, grid.keys())) {
+      return {
+        type: 'propagation',
+        steps: this._explanationSteps(trace, [trace.length - 1]),
+      };
+    }
+    if (!(grid[cell] & valueMask)) {
+      const index = trace.findIndex(step => step.changes.some(
+        ([c, values]) => c == cell && (values & valueMask)));
+      return {
+        type: 'propagation',
+        steps: this._explanationSteps(trace, [index]),
+      };
+    }
+
+    // Only explain the steps after an assumption, as the steps before it are
+    // already known from the constraints.
+    const assumeIndex = trace.length;
+    if (!assume(state, cell, valueMask)) {
+      return {
+        type: 'contradiction',
+        steps: this._explanationSteps(
+          trace, [assumeIndex, trace.length - 1], assumeIndex),
+      };
+    }
+
+    // Try the cells with the fewest values, to find one where every value
+    // leads to a contradiction.
+    const branchCells = [...grid.keys()]
+      .filter(c => countOnes(grid[c]) > 1)
+      .sort((a, b) => countOnes(grid[a]) - countOnes(grid[b]))
+      .slice(0, this.constructor._MAX_BRANCH_CELLS);
+    for (const branchCell of branchCells) {
+      const branches = [];
+      for (let values = grid[branchCell]; values; values &= values - 1) {
+        const v = values & -values;
+        const branchState = copyState(state);
+        if (assume(branchState, branchCell, v)) break;
+        const branchTrace = branchState.trace;
+        branches.push({
+          value: LookupTables.toValue(v),
+          steps: this._explanationSteps(
+            branchTrace, [trace.length, branchTrace.length - 1],
+            assumeIndex + 1),
+        });
+      }
+      if (branches.length == countOnes(grid[branchCell])) {
+        return {
+          type: 'branches',
+          steps: [trace[assumeIndex]],
+          branchCell,
+          branches,
+        };
+      }
+    }
+
+    const restrictions = this._initialGrid.slice();
+    restrictions[cell] = valueMask;
+    const [count, _] = this.countWithRestrictions(restrictions, 1);
+    if (count) return { type: 'possible' };
+    return { type: 'search', guesses: this.counters.guesses };
+  }
+
+  // Find the steps in `trace` which lead to the steps at `indexes`, by
+  // following the last change to each cell of each handler, back to
+  // `minIndex`.
+  _explanationSteps(trace, indexes, minIndex) {
+    minIndex ||= 0;
+    const needed = new Set(indexes);
+    const queue = [...needed];
+    while (queue.length &&
+      needed.size < this.constructor._MAX_EXPLANATION_STEPS) {
+      const i = queue.shift();
+      const handler = trace[i].handler;
+      if (!handler) continue;
+      for (const c of handler.cells) {
+        for (let j = i - 1; j >= minIndex; j--) {
+          if (trace[j].changes.some(([changed, _]) => changed == c)) {
+            if (!needed.has(j)) {
+              needed.add(j);
+              queue.push(j);
+            }
+            break;
+          }
+        }
+      }
+    }
+    return [...needed].sort((a, b) => a - b).map(i => trace[i]);
+  }
+
+  setSearchRestrictions(restrictions) {
+    this._unrestrictedInitialGrid ||= this._initialGrid.slice();
+    this._initialGrid.set(this._unrestrictedInitialGrid);
+    for (const [cell, values] of restrictions) {
+      this._initialGrid[cell] &= values;
+    }
+  }
+
   _validateLayout(originalInitialGrid) {
     // Choose just the house handlers.
     const houseHandlers = this._handlerSet.getAllofType(SudokuConstraintHandler.House);
@@ -909,7 +1669,7 @@ SudokuSolver.InternalSolver = class {
 SudokuSolver.CandidateSelector = class CandidateSelector {
   constructor(shape, handlerSet, debugLogger) {
     this._shape = shape;
-    this._cellOrder = new Uint8Array(shape.numCells);
+    this._cellOrder = new Uint16Array(shape.numCells);
     this._backtrackTriggers = null;
     this._debugLogger = debugLogger;
 
@@ -924,13 +1684,17 @@ SudokuSolver.CandidateSelector = class CandidateSelector {
       houseHandlerSet);
   }
 
-  reset(backtrackTriggers) {
+  reset(backtrackTriggers, cellOrderSeed) {
     // Re-initialize the cell indexes in the cellOrder.
     // This is not required, but keeps things deterministic.
     const numCells = this._cellOrder.length;
     for (let i = 0; i < numCells; i++) {
       this._cellOrder[i] = i;
     }
+    // A seed changes how ties between equally good cells are broken.
+    if (cellOrderSeed) {
+      shuffleArray(this._cellOrder, new RandomIntGenerator(cellOrderSeed));
+    }
 
     this._backtrackTriggers = backtrackTriggers;
 
@@ -970,7 +1734,7 @@ SudokuSolver.CandidateSelector = class CandidateSelector {
         stepState, grid, cellOrder, cellDepth, cellOffset, value);
 
       if (adjusted) {
-        count = countOnes16bit(grid[cellOrder[cellOffset]]);
+        count = countOnes(grid[cellOrder[cellOffset]]);
         this._candidateSelectionFlags[cellDepth] = 0;
         if (this._debugLogger.enableStepLogs) {
           this._logSelectNextCandidate(
@@ -1080,7 +1844,7 @@ SudokuSolver.CandidateSelector = class CandidateSelector {
     //        - we don't add to the stack on the final value in a cell.
     let values = grid[cell];
     let value = values & -values;
-    let count = countOnes16bit(values);
+    let count = countOnes(values);
 
     // Consider branching on a single digit within a house. Only to this if we
     // are:
@@ -1120,7 +1884,7 @@ SudokuSolver.CandidateSelector = class CandidateSelector {
 
     for (let i = cellDepth; i < numCells; i++) {
       const cell = cellOrder[i];
-      const count = countOnes16bit(grid[cell]);
+      const count = countOnes(grid[cell]);
       // If we have a single value then just use it - as it will involve no
       // guessing.
       // NOTE: We could use more efficient check for count() < 1, but it's not
@@ -1158,7 +1922,7 @@ SudokuSolver.CandidateSelector = class CandidateSelector {
     let minCount = 1 << 16;
     let bestOffset = 0;
     for (let i = cellDepth; i < grid.length; i++) {
-      const count = countOnes16bit(grid[cellOrder[i]]);
+      const count = countOnes(grid[cellOrder[i]]);
       if (count < minCount) {
         bestOffset = i;
         minCount = count;
@@ -1431,11 +2195,11 @@ SudokuSolver.CellExclusions = class {
     // Store an array version for fast iteration.
     // Sort the cells so they are in predictable order.
     this._cellExclusionArrays = (
-      this._cellExclusionSets.map(c => new Uint8Array(c)));
+      this._cellExclusionSets.map(c => new Uint16Array(c)));
     this._cellExclusionArrays.forEach(c => c.sort((a, b) => a - b));
 
     // Indexing of pairs:
-    //   pairExclusions[(i << 8) | j] = [cells which are excluded by both i and j]
+    //   pairExclusions[(i << 16) | j] = [cells which are excluded by both i and j]
     this._pairExclusions = new Map();
     // Indexing of lists:
     //   listExclusions[obj] = [cells which are excluded by all cells in obj]
@@ -1501,18 +2265,18 @@ SudokuSolver.CellExclusions = class {
 
     // Only add it if it's not empty.
     if (allCellExclusions.size) {
-      this._listExclusions.set(cells, new Uint8Array(allCellExclusions));
+      this._listExclusions.set(cells, new Uint16Array(allCellExclusions));
     }
   }
 
   _cachePair(cell0, cell1) {
-    const key = (cell0 << 8) | cell1;
+    const key = (cell0 << 16) | cell1;
 
     // Check if we've already cached the pair.
     if (this._pairExclusions.has(key)) return;
 
     // If we've cached the reverse order, then use that.
-    const revKey = (cell1 << 8) | cell0;
+    const revKey = (cell1 << 16) | cell0;
     if (this._pairExclusions.has(revKey)) {
       this._pairExclusions.set(key, this._pairExclusions.get(revKey));
       return;
@@ -1522,13 +2286,15 @@ SudokuSolver.CellExclusions = class {
     const exclusionSet = setIntersection(
       this._cellExclusionSets[cell0],
       this._cellExclusionSets[cell1]);
-    this._pairExclusions.set(key, new Uint8Array(exclusionSet));
+    this._pairExclusions.set(key, new Uint16Array(exclusionSet));
 
     return;
   }
 }
 
 class LookupTables {
+  static MAX_TABLE_VALUES = GridShape.MAX_TABLE_VALUES;
+
   static get = memoize((numValues) => {
     return new LookupTables(true, numValues);
   });
@@ -1574,19 +2340,20 @@ class LookupTables {
   constructor(do_not_call, numValues) {
     if (!do_not_call) throw ('Use LookupTables.get(shape.numValues)');
 
+    this.numValues = numValues;
     this.allValues = (1 << numValues) - 1;
     this.combinations = 1 << numValues;
 
     const combinations = this.combinations;
 
-    this.sum = (() => {
+    this._defineTable('sum', () => {
       let table = new Uint8Array(combinations);
       for (let i = 1; i < combinations; i++) {
         // SUM is the value of the lowest set bit plus the sum  of the rest.
         table[i] = table[i & (i - 1)] + LookupTables.toValue(i & -i);
       }
       return table;
-    })();
+    });
 
     // Combines min and max into a single integer:
     // Layout: [min: 8 bits, max: 8 bits]
@@ -1596,7 +2363,7 @@ class LookupTables {
     //
     // NOTE: This is faster than calling LookupTables.minValue and
     // LookupTables.maxValue separately, but only if both are required.
-    this.minMax8Bit = (() => {
+    this._defineTable('minMax8Bit', () => {
       // Initialize the table with MAXs.
       const table = new Uint16Array(combinations);
       table[1] = LookupTables.toValue(1);
@@ -1614,7 +2381,7 @@ class LookupTables {
       }
 
       return table;
-    })();
+    });
 
     // Combines useful info about the range of numbers in a cell.
     // Designed to be summed, so that the aggregate stats can be found.
@@ -1623,11 +2390,11 @@ class LookupTables {
     // Sum of isFixed gives the number of fixed cells.
     // Sum of fixed gives the sum of fixed cells.
     // Min and max as a in minMax.
-    this.rangeInfo = (() => {
+    this._defineTable('rangeInfo', () => {
       const table = new Uint32Array(combinations);
       for (let i = 1; i < combinations; i++) {
         const minMax = this.minMax8Bit[i];
-        const fixed = countOnes16bit(i) == 1 ? LookupTables.toValue(i) : 0;
+        const fixed = countOnes(i) == 1 ? LookupTables.toValue(i) : 0;
         const isFixed = fixed ? 1 : 0;
         table[i] = (isFixed << 24) | (fixed << 16) | minMax;
       }
@@ -1635,9 +2402,9 @@ class LookupTables {
       // result is invalid. This is intended to be detectable after summing.
       table[0] = numValues << 24;
       return table;
-    })();
+    });
 
-    this.reverse = (() => {
+    this._defineTable('reverse', () => {
       let table = new Uint16Array(combinations);
       for (let i = 0; i < combinations; i++) {
         let rev = 0;
@@ -1647,13 +2414,14 @@ class LookupTables {
         table[i] = rev;
       }
       return table;
-    })();
+    });
 
     const NUM_BITS_BASE64 = 6;
     const keyArr = new Uint8Array(
       Base64Codec.lengthOf6BitArray(numValues * numValues));
 
     this.forBinaryKey = memoize((key) => {
+      this._checkTableSize();
       const table = new Uint16Array(combinations);
       const tableInv = new Uint16Array(combinations);
 
@@ -1686,4 +2454,27 @@ class LookupTables {
       return [table, tableInv];
     });
   }
+
+  // Tables are built when they are first used, as they are only needed by
+  // some constraints.
+  _defineTable(name, fn) {
+    Object.defineProperty(this, name, {
+      configurable: true,
+      get: () => {
+        this._checkTableSize();
+        const table = fn();
+        Object.defineProperty(this, name, { value: table });
+        return table;
+      },
+    });
+  }
+
+  // Tables have an entry for every combination of values, so they are too
+  // large to build for bigger grids.
+  _checkTableSize() {
+    if (this.numValues > LookupTables.MAX_TABLE_VALUES) {
+      throw ('This constraint is not supported with more than ' +
+        `${LookupTables.MAX_TABLE_VALUES} values.`);
+    }
+  }
 }
\ No newline at end of file
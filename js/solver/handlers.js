@@ -5,7 +5,7 @@ class SudokuConstraintHandler {
 
   constructor(cells) {
     // This constraint is enforced whenever these cells are touched.
-    this.cells = new Uint8Array(cells || []);
+    this.cells = new Uint16Array(cells || []);
     // By default all constraints are essential for correctness.
     // The optimizer may add non-essential constraints to improve performance.
     this.essential = true;
@@ -179,7 +179,7 @@ SudokuConstraintHandler._CommonHandlerUtil = class _CommonHandlerUtil {
       const numCells = cells.length;
       for (let i = 0; i < numCells; i++) {
         if (grid[cells[i]] & value) {
-          pairIndex = (pairIndex << 8) | cells[i];
+          pairIndex = (pairIndex << 16) | cells[i];
           cellCount++;
         }
       }
@@ -222,7 +222,7 @@ SudokuConstraintHandler.House = class House extends SudokuConstraintHandler {
     return true;
   }
 
-  static _seenPairs = new Uint16Array(SHAPE_MAX.numValues);
+  static _seenPairs = new Uint32Array(SHAPE_MAX.numValues);
   static _pairLocations = new Uint16Array(SHAPE_MAX.numValues);
 
   _enforceNakedPairs(grid, cells, handlerAccumulator) {
@@ -233,7 +233,7 @@ SudokuConstraintHandler.House = class House extends SudokuConstraintHandler {
     const pairLocations = this.constructor._pairLocations;
     for (let i = 0; i < numCells; i++) {
       const v = grid[cells[i]];
-      if (countOnes16bit(v) != 2) continue;
+      if (countOnes(v) != 2) continue;
       seenPairs[numPairs] = v;
       pairLocations[numPairs] = i;
       numPairs++;
@@ -260,7 +260,7 @@ SudokuConstraintHandler.House = class House extends SudokuConstraintHandler {
           handlerAccumulator.addForCell(cells[k]);
 
           // If removing values made this a naked pair then add it to the list.
-          if (countOnes16bit(kv) == 2) {
+          if (countOnes(kv) == 2) {
             seenPairs[numPairs] = kv;
             pairLocations[numPairs] = k;
             numPairs++;
@@ -303,7 +303,7 @@ SudokuConstraintHandler.House = class House extends SudokuConstraintHandler {
 
     // Check for naked pairs.
     // We won't have anything useful to do unless we have at least 2 free cells.
-    if (numCells - countOnes16bit(fixedValues) <= 2) return true;
+    if (numCells - countOnes(fixedValues) <= 2) return true;
 
     return this._enforceNakedPairs(grid, cells, handlerAccumulator);
   }
@@ -407,7 +407,7 @@ SudokuConstraintHandler.BinaryPairwise = class BinaryPairwise extends SudokuCons
 
     // Build up the rest of the table.
     for (let i = 0; i < combinations; i++) {
-      if (countOnes16bit(i) < 3) continue;
+      if (countOnes(i) < 3) continue;
       let iMin = i & -i;
       let iRest = i ^ iMin;
       // If it's not valid with one less value, adding more cells won't help.
@@ -431,7 +431,7 @@ SudokuConstraintHandler.BinaryPairwise = class BinaryPairwise extends SudokuCons
     const combinations = 1 << numValues;
     const validCombinationInfo = new Uint32Array(combinations);
     for (let i = 0; i < combinations; i++) {
-      const count = countOnes16bit(i);
+      const count = countOnes(i);
       // If we don't have enough cells we can't be valid.
       if (count < numCells) continue;
       // If we have the right number of cells then initialize the row.
@@ -673,7 +673,7 @@ SudokuConstraintHandler._SumHandlerUtil = class _SumHandlerUtil {
 
       const sums = this._lookupTables.sum;
       for (let i = 0; i < combinations; i++) {
-        table[countOnes16bit(i)][sums[i]].push(i);
+        table[countOnes(i)][sums[i]].push(i);
       }
 
       return table;
@@ -847,7 +847,7 @@ SudokuConstraintHandler._SumHandlerUtil = class _SumHandlerUtil {
     if (fixedSum > sum) return false;
 
     // Check if we have enough unique values.
-    if (countOnes16bit(allValues) < numCells) return false
+    if (countOnes(allValues) < numCells) return false
     // Check if we have fixed all the values.
     if (allValues == fixedValues) {
       return fixedSum == sum;
@@ -855,7 +855,7 @@ SudokuConstraintHandler._SumHandlerUtil = class _SumHandlerUtil {
 
     const unfixedValues = allValues & ~fixedValues;
     let requiredValues = allValues;
-    const numUnfixed = cells.length - countOnes16bit(fixedValues);
+    const numUnfixed = cells.length - countOnes(fixedValues);
 
     let possibilities = 0;
     const options = this.killerCageSums[numUnfixed][sum - fixedSum];
@@ -901,8 +901,8 @@ SudokuConstraintHandler._SumHandlerUtil = class _SumHandlerUtil {
   }
 
   // Scratch buffers for reuse so we don't have to create arrays at runtime.
-  static _seenMins = new Uint16Array(SHAPE_MAX.numCells);
-  static _seenMaxs = new Uint16Array(SHAPE_MAX.numCells);
+  static _seenMins = new Uint16Array(GridShape.MAX_NUM_CELLS);
+  static _seenMaxs = new Uint16Array(GridShape.MAX_NUM_CELLS);
 
   // Restricts cell values to only the ranges that are possible taking into
   // account uniqueness constraints between values.
@@ -1041,13 +1041,13 @@ SudokuConstraintHandler._SumHandlerUtil = class _SumHandlerUtil {
     return true;
   }
 
-  static _valueBuffer = new Uint16Array(SHAPE_MAX.numValues);
+  static _valueBuffer = new Uint32Array(SHAPE_MAX.numValues);
   static _exclusionIndexesBuffer = new Uint8Array(SHAPE_MAX.numValues);
   // Create a cellBuffer for each possible number of unfixed cells that
   // enforceFewRemainingCells() can be called with.
   // This allows calls ot functions like restrictCellsSingleExclusionGroup()
   // to rely on the array length.
-  static _cellBuffers = [...Array(4).keys()].map(i => new Uint8Array(i));
+  static _cellBuffers = [...Array(4).keys()].map(i => new Uint16Array(i));
 
   // Determines if enforceFewRemainingCells() can be run.
   hasFewRemainingCells(numUnfixed) {
@@ -1115,7 +1115,7 @@ SudokuConstraintHandler._SumHandlerUtil = class _SumHandlerUtil {
         // values.
         // NOTE: We can also do this for count == 1, but it results are slightly
         //       worse.
-        if (cellExclusions && v0 === v1 && countOnes16bit(v0) == 2) {
+        if (cellExclusions && v0 === v1 && countOnes(v0) == 2) {
           if (!this._commonUtil.enforceRequiredValueExclusions(
             grid, cellBuffer, v0, cellExclusions)) return false;
         }
@@ -1471,7 +1471,7 @@ SudokuConstraintHandler.PillArrow = class PillArrow extends SudokuConstraintHand
     const controlCell = this._controlCell;
 
     let values = grid[controlCell];
-    const numControl = countOnes16bit(values);
+    const numControl = countOnes(values);
     if (numControl == 1) {
       // There is a single value, so we can just enforce the sum directly.
       sumHandler.setSum(10 * LookupTables.toValue(values));
@@ -1533,7 +1533,7 @@ SudokuConstraintHandler.Skyscraper = class Skyscraper extends SudokuConstraintHa
     return true;
   }
 
-  static _baseBuffer = new Uint16Array(
+  static _baseBuffer = new Uint32Array(
     (SHAPE_MAX.numValues * 2) * SHAPE_MAX.numValues);
 
   // The state arrays are all backed by a single buffer.
@@ -1748,7 +1748,7 @@ SudokuConstraintHandler.Sandwich = class Sandwich extends SudokuConstraintHandle
     for (let i = 0; i < lookupTables.combinations; i++) {
       if (i & borderMask) continue;
       let sum = lookupTables.sum[i];
-      table[sum][countOnes16bit(i) + 1].push(i);
+      table[sum][countOnes(i) + 1].push(i);
     }
 
     for (let i = 0; i <= maxSum; i++) {
@@ -1782,8 +1782,8 @@ SudokuConstraintHandler.Sandwich = class Sandwich extends SudokuConstraintHandle
   });
 
   // Scratch buffers for reuse so we don't have to create arrays at runtime.
-  static _validSettings = new Uint16Array(SHAPE_MAX.gridSize);
-  static _cellValues = new Uint16Array(SHAPE_MAX.gridSize);
+  static _validSettings = new Uint32Array(SHAPE_MAX.gridSize);
+  static _cellValues = new Uint32Array(SHAPE_MAX.gridSize);
 
   enforceConsistency(grid, handlerAccumulator) {
     const cells = this.cells;
@@ -1910,8 +1910,8 @@ SudokuConstraintHandler.SameValues = class SameValues extends SudokuConstraintHa
     }
 
     // NOTE: We must copy before sorting (to avoid messing up order for the caller).
-    cells0 = new Uint8Array(cells0);
-    cells1 = new Uint8Array(cells1);
+    cells0 = new Uint16Array(cells0);
+    cells1 = new Uint16Array(cells1);
 
     cells0.sort((a, b) => a - b);
     cells1.sort((a, b) => a - b);
@@ -1942,7 +1942,7 @@ SudokuConstraintHandler.SameValues = class SameValues extends SudokuConstraintHa
     const values = values1 & values0;
 
     // Check if we have enough values.
-    if (this._isUnique && countOnes16bit(values) < numCells) return false;
+    if (this._isUnique && countOnes(values) < numCells) return false;
 
     // Enforce the constrained value set.
     if (values0 !== values) {
@@ -2306,7 +2306,7 @@ SudokuConstraintHandler.XSum = class XSum extends SudokuConstraintHandler {
     const controlCell = this._controlCell;
 
     let values = grid[controlCell];
-    const numControl = countOnes16bit(values);
+    const numControl = countOnes(values);
     if (numControl == 1) {
       // There is a single value, so we can just enforce the sum directly.
       const index = LookupTables.toValue(values) - 1;
@@ -2360,7 +2360,7 @@ SudokuConstraintHandler.LocalEntropy = class LocalEntropy extends SudokuConstrai
     this._commonUtil = SudokuConstraintHandler._CommonHandlerUtil;
   }
 
-  static _valuesBuffer = new Uint16Array(SHAPE_MAX.numValues);
+  static _valuesBuffer = new Uint32Array(SHAPE_MAX.numValues);
   static _SQUISHED_MASK = (
     LookupTables.fromValue(1) |
     LookupTables.fromValue(4) |
@@ -2593,12 +2593,12 @@ SudokuConstraintHandler.Quadruple = class Quadruple extends SudokuConstraintHand
         }
       }
       fixedValues |= hiddenSingles;
-      numFixed += countOnes16bit(hiddenSingles);
+      numFixed += countOnes(hiddenSingles);
     }
 
     const remainingValues = valuesMask & ~fixedValues;
     const numRemainingCells = numCells - numFixed;
-    if (countOnes16bit(remainingValues) == numRemainingCells) {
+    if (countOnes(remainingValues) == numRemainingCells) {
       // The number of remaining cell is exactly the number of remaining values.
       // We can constrain the remaining cells to the remaining values.
       for (let i = 0; i < numCells; i++) {
@@ -0,0 +1,683 @@
+"use strict";
+
+// Solves a puzzle one step at a time using techniques a human would use, so
+// that each step can be explained.
+//
+// Only some constraints are understood. Other constraints are ignored, which
+// keeps every deduction valid but means that a step may not be found.
+class LogicalSolver {
+  static SUPPORTED_TYPES = new Set([
+    'Givens', 'Jigsaw', 'Diagonal', 'Windoku', 'DisjointSets', 'AllDifferent',
+    'Cage', 'Arrow', 'Thermo',
+  ]);
+
+  // Larger cages have too many combinations to be a useful hint.
+  static MAX_CAGE_SIZE = 6;
+
+  constructor(constraint) {
+    const [constraints, metaConstraints] = constraint.toLists();
+    const metaConfig = SudokuConstraintBase.getMetaConfig(metaConstraints);
+    const shape = SudokuConstraintBase.getShapeFromMeta(metaConfig);
+    this._shape = shape;
+    this._allValues = LookupTables.get(shape.numValues).allValues;
+
+    // Houses contain each value exactly once.
+    this._houses = [];
+    // Groups contain each value at most once. Includes the houses.
+    this._groups = [];
+    this._cages = [];
+    this._arrows = [];
+    this._thermos = [];
+    this._ignoredTypes = new Set();
+
+    this._grid = new Uint32Array(shape.numCells).fill(this._allValues);
+    this._placed = new Uint8Array(shape.numCells);
+    // Cells outside the sub-grids of a composite layout are fixed, as they
+    // are in the solver.
+    for (const cell of shape.inactiveCells) {
+      this._grid[cell] = LookupTables.fromValue(1);
+    }
+
+    this._addConstraints(constraints, metaConfig);
+    this._peers = this._makePeers();
+
+    this._steps = [];
+    this._finished = false;
+  }
+
+  _addHouse(name, kind, cells) {
+    const house = { name, kind, cells };
+    if (cells.length == this._shape.numValues) this._houses.push(house);
+    this._groups.push(house);
+  }
+
+  _addConstraints(constraints, metaConfig) {
+    const shape = this._shape;
+    const parseCells = (ids) => ids.map(c => shape.parseCellId(c).cell);
+
+    if (shape.hasDefaultRegions) {
+      SudokuConstraintBase.rowRegions(shape).forEach(
+        (cells, i) => this._addHouse(`row ${i + 1}`, 'row', cells));
+      SudokuConstraintBase.colRegions(shape).forEach(
+        (cells, i) => this._addHouse(`column ${i + 1}`, 'col', cells));
+    }
+    if (shape.subGrids) {
+      const { rows, cols } = SudokuConstraintBase.subGridRegions(shape);
+      const size = shape.subGridSize;
+      rows.forEach((cells, i) => this._addHouse(
+        `grid ${(i / size | 0) + 1} row ${i % size + 1}`, 'row', cells));
+      cols.forEach((cells, i) => this._addHouse(
+        `grid ${(i / size | 0) + 1} column ${i % size + 1}`, 'col', cells));
+    }
+    if ((shape.hasDefaultRegions || shape.subGrids) &&
+      !metaConfig.has('NoBoxes')) {
+      SudokuConstraintBase.boxRegions(shape).forEach(
+        (cells, i) => this._addHouse(`box ${i + 1}`, 'box', cells));
+    }
+
+    const addRegions = (name, regions) => {
+      regions.forEach(
+        (cells, i) => this._addHouse(`${name} ${i + 1}`, 'region', cells));
+    };
+
+    for (const constraint of constraints) {
+      if (!this.constructor.SUPPORTED_TYPES.has(constraint.type)) {
+        this._ignoredTypes.add(constraint.type);
+        continue;
+      }
+
+      switch (constraint.type) {
+        case 'Givens':
+          for (const valueId of constraint.values) {
+            const { cell, values } = shape.parseValueId(valueId);
+            this._grid[cell] &= LookupTables.fromValuesArray(values);
+          }
+          break;
+
+        case 'Jigsaw':
+          {
+            const regions = new Map();
+            Array.from(constraint.grid).forEach((v, i) => {
+              if (!regions.has(v)) regions.set(v, []);
+              regions.get(v).push(i);
+            });
+            addRegions('jigsaw region', [...regions.values()].filter(
+              cells => cells.length == shape.gridSize));
+          }
+          break;
+
+        case 'Diagonal':
+          {
+            const cells = [];
+            for (let r = 0; r < shape.gridSize; r++) {
+              const c = constraint.direction > 0 ? shape.gridSize - r - 1 : r;
+              cells.push(shape.cellIndex(r, c));
+            }
+            const name = constraint.direction > 0
+              ? 'anti-diagonal' : 'diagonal';
+            this._addHouse(name, 'region', cells);
+          }
+          break;
+
+        case 'Windoku':
+          addRegions('windoku region', SudokuConstraint.Windoku.regions(shape));
+          break;
+
+        case 'DisjointSets':
+          addRegions(
+            'disjoint set', SudokuConstraintBase.disjointSetRegions(shape));
+          break;
+
+        case 'AllDifferent':
+          {
+            const cells = parseCells(constraint.cells);
+            this._addHouse('region', 'region', cells);
+          }
+          break;
+
+        case 'Cage':
+          {
+            const cells = parseCells(constraint.cells);
+            const sum = +constraint.sum;
+            const name = sum ? `${sum} cage` : 'cage';
+            // Combinations are found using grid values.
+            const gridSum = sum - cells.length * shape.valueOffset;
+            const cage = { name, kind: 'cage', cells, sum, gridSum };
+            this._groups.push(cage);
+            if (sum) this._cages.push(cage);
+          }
+          break;
+
+        case 'Arrow':
+          {
+            const [circle, ...arrow] = parseCells(constraint.cells);
+            this._arrows.push({ circle, arrow });
+          }
+          break;
+
+        case 'Thermo':
+          this._thermos.push(parseCells(constraint.cells));
+          break;
+      }
+    }
+  }
+
+  _makePeers() {
+    const peerSets = this._shape.allCells.map(() => new Set());
+    for (const group of this._groups) {
+      for (const cell of group.cells) {
+        for (const other of group.cells) {
+          if (other != cell) peerSets[cell].add(other);
+        }
+      }
+    }
+    return peerSets.map(s => [...s]);
+  }
+
+  // Returns the nth step, or null if the solver stopped before step n.
+  // Step 0 is the initial candidates.
+  nthStep(n) {
+    while (this._steps.length <= n && !this._finished) {
+      this._steps.push(this._nextStep());
+    }
+    return this._steps[n] || null;
+  }
+
+  _nextStep() {
+    const oldGrid = this._grid.slice();
+    let step;
+    if (!this._steps.length) {
+      step = this._initialStep();
+    } else {
+      step = this._findStep();
+      if (step.status == 'step') this._applyStep(step);
+    }
+    if (step.status != 'step') this._finished = true;
+
+    const diffGrid = oldGrid;
+    SudokuSolver.Util.gridDifference(diffGrid, this._grid);
+    return {
+      status: step.status,
+      technique: step.technique || null,
+      description: step.description,
+      highlightCells: (step.cells || []).map(c => this._cellId(c)),
+      pencilmarks: this._pencilmarks(),
+      diffPencilmarks: SudokuSolver.Util.makePencilmarks(diffGrid),
+    };
+  }
+
+  _pencilmarks() {
+    const pencilmarks = SudokuSolver.Util.makePencilmarks(this._grid);
+    for (let i = 0; i < pencilmarks.length; i++) {
+      if (this._placed[i]) {
+        pencilmarks[i] = LookupTables.toValue(this._grid[i]);
+      }
+    }
+    return pencilmarks;
+  }
+
+  _initialStep() {
+    // Place all the givens.
+    for (let cell = 0; cell < this._grid.length; cell++) {
+      if (countOnes(this._grid[cell]) == 1) this._place(cell);
+    }
+
+    let description = 'Initial candidates after removing the givens from ' +
+      'their houses.';
+    if (this._ignoredTypes.size) {
+      description += ' Ignoring unsupported constraints: ' +
+        [...this._ignoredTypes].join(', ') + '.';
+    }
+    return { status: 'step', description };
+  }
+
+  _place(cell) {
+    this._placed[cell] = 1;
+    const value = this._grid[cell];
+    for (const peer of this._peers[cell]) {
+      this._grid[peer] &= ~value;
+    }
+  }
+
+  _applyStep(step) {
+    for (const [cell, value] of step.placements || []) {
+      this._grid[cell] = LookupTables.fromValue(value);
+      this._place(cell);
+    }
+    for (const [cell, values] of step.eliminations || []) {
+      this._grid[cell] &= ~values;
+    }
+  }
+
+  _findStep() {
+    const grid = this._grid;
+    for (let cell = 0; cell < grid.length; cell++) {
+      if (!grid[cell]) {
+        return {
+          status: 'contradiction',
+          description: (
+            `Contradiction: ${this._cellId(cell)} has no candidates.`),
+          cells: [cell],
+        };
+      }
+    }
+    if (this._placed.every(p => p)) {
+      return { status: 'solved', description: 'Solved!' };
+    }
+
+    const techniques = [
+      this._nakedSingle,
+      this._hiddenSingle,
+      this._lockedCandidates,
+      this._nakedSubset.bind(this, 2),
+      this._hiddenSubset.bind(this, 2),
+      this._nakedSubset.bind(this, 3),
+      this._hiddenSubset.bind(this, 3),
+      this._cageCombinations,
+      this._arrowBounds,
+      this._thermoBounds,
+      this._xWing,
+    ];
+    for (const technique of techniques) {
+      const step = technique.call(this);
+      if (step) {
+        step.status ||= 'step';
+        return step;
+      }
+    }
+
+    return {
+      status: 'stuck',
+      description: 'No logical step found.',
+    };
+  }
+
+  _cellId(cell) {
+    return this._shape.makeCellIdFromIndex(cell);
+  }
+
+  _valuesStr(values) {
+    return LookupTables.toValuesArray(values).map(
+      v => this._shape.displayValue(v)).join(',');
+  }
+
+  // Describe eliminations grouped by the values removed.
+  _eliminationsStr(eliminations) {
+    const byValues = new Map();
+    for (const [cell, values] of eliminations) {
+      const key = this._valuesStr(values);
+      if (!byValues.has(key)) byValues.set(key, []);
+      byValues.get(key).push(this._cellId(cell));
+    }
+    const parts = [];
+    for (const [values, cellIds] of byValues) {
+      parts.push(`${values} from ${cellIds.join(', ')}`);
+    }
+    return 'Remove ' + parts.join('; ') + '.';
+  }
+
+  // Eliminate `values` from `cells`, returning only the eliminations which
+  // remove something.
+  _eliminate(cells, values) {
+    const eliminations = [];
+    for (const cell of cells) {
+      if (this._grid[cell] & values) {
+        eliminations.push([cell, this._grid[cell] & values]);
+      }
+    }
+    return eliminations;
+  }
+
+  _makeEliminationStep(technique, reason, cells, eliminations) {
+    return {
+      technique,
+      description: (
+        `${technique}: ${reason} ${this._eliminationsStr(eliminations)}`),
+      cells,
+      eliminations,
+    };
+  }
+
+  _nakedSingle() {
+    const grid = this._grid;
+    for (let cell = 0; cell < grid.length; cell++) {
+      if (this._placed[cell] || countOnes(grid[cell]) != 1) continue;
+      const value = LookupTables.toValue(grid[cell]);
+      return {
+        technique: 'Naked single',
+        description: (
+          `Naked single: ${this._cellId(cell)} can only be ` +
+          `${this._shape.displayValue(value)}.`),
+        cells: [cell],
+        placements: [[cell, value]],
+      };
+    }
+    return null;
+  }
+
+  _hiddenSingle() {
+    const grid = this._grid;
+    for (const house of this._houses) {
+      for (let v = 1; v <= this._shape.numValues; v++) {
+        const value = LookupTables.fromValue(v);
+        const cells = house.cells.filter(c => grid[c] & value);
+        if (cells.length == 0) {
+          return {
+            status: 'contradiction',
+            description: (
+              `Contradiction: ${this._shape.displayValue(v)} can't be ` +
+              `placed in ${house.name}.`),
+            cells: house.cells,
+          };
+        }
+        if (cells.length == 1 && !this._placed[cells[0]]) {
+          return {
+            technique: 'Hidden single',
+            description: (
+              `Hidden single: ${this._shape.displayValue(v)} can only go in ` +
+              `${this._cellId(cells[0])} in ${house.name}.`),
+            cells: [cells[0]],
+            placements: [[cells[0], v]],
+          };
+        }
+      }
+    }
+    return null;
+  }
+
+  // Pointing and claiming: if a value in one house is confined to another
+  // house, then it can be removed from the rest of the other house.
+  _lockedCandidates() {
+    const grid = this._grid;
+    for (const house of this._houses) {
+      for (const other of this._houses) {
+        if (house === other) continue;
+        const otherCells = new Set(other.cells);
+        if (house.cells.filter(c => otherCells.has(c)).length < 2) continue;
+
+        for (let v = 1; v <= this._shape.numValues; v++) {
+          const value = LookupTables.fromValue(v);
+          const cells = house.cells.filter(
+            c => (grid[c] & value) && !this._placed[c]);
+          if (cells.length < 2) continue;
+          if (!cells.every(c => otherCells.has(c))) continue;
+
+          const eliminations = this._eliminate(
+            other.cells.filter(c => !cells.includes(c)), value);
+          if (!eliminations.length) continue;
+
+          const technique = (
+            house.kind == 'box' ? 'Pointing' :
+              other.kind == 'box' ? 'Claiming' : 'Locked candidates');
+          return this._makeEliminationStep(
+            technique,
+            `${this._shape.displayValue(v)} in ${house.name} must be in ` +
+            `${other.name}.`,
+            cells, eliminations);
+        }
+      }
+    }
+    return null;
+  }
+
+  static _SUBSET_NAMES = { 2: 'pair', 3: 'triple' };
+
+  // Naked subsets: k cells in a group which only contain k values.
+  _nakedSubset(k) {
+    const grid = this._grid;
+    for (const group of this._groups) {
+      const candidates = group.cells.filter(
+        c => !this._placed[c] && countOnes(grid[c]) <= k);
+      for (const cells of this.constructor._combinations(candidates, k)) {
+        let values = 0;
+        for (const c of cells) values |= grid[c];
+        if (countOnes(values) != k) continue;
+
+        const eliminations = this._eliminate(
+          group.cells.filter(c => !cells.includes(c)), values);
+        if (!eliminations.length) continue;
+
+        const name = this.constructor._SUBSET_NAMES[k];
+        return this._makeEliminationStep(
+          `Naked ${name}`,
+          `${cells.map(c => this._cellId(c)).join(', ')} in ${group.name} ` +
+          `must contain ${this._valuesStr(values)}.`,
+          cells, eliminations);
+      }
+    }
+    return null;
+  }
+
+  // Hidden subsets: k values in a house which can only go in k cells.
+  _hiddenSubset(k) {
+    const grid = this._grid;
+    for (const house of this._houses) {
+      const unplaced = house.cells.filter(c => !this._placed[c]);
+      const valuesToCells = new Map();
+      for (let v = 1; v <= this._shape.numValues; v++) {
+        const value = LookupTables.fromValue(v);
+        const cells = unplaced.filter(c => grid[c] & value);
+        if (cells.length >= 2 && cells.length <= k) {
+          valuesToCells.set(value, cells);
+        }
+      }
+
+      for (const valueList of this.constructor._combinations(
+        [...valuesToCells.keys()], k)) {
+        const cells = [...new Set(
+          valueList.flatMap(v => valuesToCells.get(v)))];
+        if (cells.length != k) continue;
+
+        let values = 0;
+        for (const v of valueList) values |= v;
+        const eliminations = this._eliminate(cells, ~values & this._allValues);
+        if (!eliminations.length) continue;
+
+        const name = this.constructor._SUBSET_NAMES[k];
+        return this._makeEliminationStep(
+          `Hidden ${name}`,
+          `${this._valuesStr(values)} in ${house.name} can only go in ` +
+          `${cells.map(c => this._cellId(c)).join(', ')}.`,
+          cells, eliminations);
+      }
+    }
+    return null;
+  }
+
+  _xWing() {
+    const grid = this._grid;
+    const shape = this._shape;
+    const rows = this._houses.filter(h => h.kind == 'row');
+    const cols = this._houses.filter(h => h.kind == 'col');
+
+    for (const [lines, crossLines] of [[rows, cols], [cols, rows]]) {
+      for (let v = 1; v <= shape.numValues; v++) {
+        const value = LookupTables.fromValue(v);
+        // Find the lines where the value has exactly two positions.
+        const linePositions = [];
+        for (const line of lines) {
+          const positions = [];
+          line.cells.forEach((c, i) => {
+            if ((grid[c] & value) && !this._placed[c]) positions.push(i);
+          });
+          if (positions.length == 2) linePositions.push([line, positions]);
+        }
+
+        for (const [[lineA, posA], [lineB, posB]] of (
+          this.constructor._combinations(linePositions, 2))) {
+          // Lines in different sub-grids can overlap.
+          if (lineA.cells.some(c => lineB.cells.includes(c))) continue;
+          // Find the cross lines which contain both the positions. Don't
+          // rely on the index, as lines can be in different sub-grids.
+          const crossPair = [0, 1].map(j => crossLines.find(
+            h => h.cells.includes(lineA.cells[posA[j]]) &&
+              h.cells.includes(lineB.cells[posB[j]])));
+          if (!crossPair[0] || !crossPair[1]) continue;
+
+          const cells = [...posA.map(i => lineA.cells[i]),
+          ...posB.map(i => lineB.cells[i])];
+          const eliminations = this._eliminate(
+            crossPair.flatMap(h => h.cells).filter(
+              c => !cells.includes(c)),
+            value);
+          if (!eliminations.length) continue;
+
+          return this._makeEliminationStep(
+            'X-wing',
+            `${this._shape.displayValue(v)} in ${lineA.name} and ` +
+            `${lineB.name} must be in ` +
+            `${crossPair[0].name} and ${crossPair[1].name}.`,
+            cells, eliminations);
+        }
+      }
+    }
+    return null;
+  }
+
+  _cageCombinations() {
+    const grid = this._grid;
+    for (const cage of this._cages) {
+      const cells = cage.cells;
+      if (cells.length > this.constructor.MAX_CAGE_SIZE) continue;
+      if (cells.every(c => this._placed[c])) continue;
+
+      let union = 0;
+      for (const c of cells) union |= grid[c];
+
+      // Find the values which each cell can take in some combination.
+      const possible = new Uint32Array(cells.length);
+      const combos = [];
+      for (const combo of this.constructor._combinations(
+        LookupTables.toValuesArray(union), cells.length)) {
+        if (combo.reduce((a, b) => a + b, 0) != cage.gridSum) continue;
+        const comboValues = LookupTables.fromValuesArray(combo);
+        if (!this._canAssign(cells, comboValues)) continue;
+        combos.push(combo);
+        cells.forEach((c, i) => possible[i] |= grid[c] & comboValues);
+      }
+
+      const eliminations = [];
+      cells.forEach((c, i) => {
+        const removed = grid[c] & ~possible[i];
+        if (removed) eliminations.push([c, removed]);
+      });
+      if (!eliminations.length) continue;
+
+      const comboStr = combos.length
+        ? `The only combinations are ${combos.map(
+          c => c.map(v => this._shape.displayValue(v)).join('')).join(', ')}.`
+        : 'There are no valid combinations.';
+      return this._makeEliminationStep(
+        'Cage combinations', `${cage.name}: ${comboStr}`,
+        cells, eliminations);
+    }
+    return null;
+  }
+
+  // Check if the distinct values can be assigned to the cells. i.e. every
+  // cell gets a value and every value is used.
+  _canAssign(cells, values) {
+    const grid = this._grid;
+    const assign = (i, remaining) => {
+      if (i == cells.length) return true;
+      let options = grid[cells[i]] & remaining;
+      while (options) {
+        const value = options & -options;
+        options ^= value;
+        if (assign(i + 1, remaining & ~value)) return true;
+      }
+      return false;
+    };
+    return assign(0, values);
+  }
+
+  _arrowBounds() {
+    // Sums are of display values, as the circle is the sum of the display
+    // values on the arrow.
+    const grid = this._grid;
+    const shape = this._shape;
+    const min = (c) => shape.displayValue(LookupTables.minValue(grid[c]));
+    const max = (c) => shape.displayValue(LookupTables.maxValue(grid[c]));
+    const rangeMask = (lo, hi) => {
+      let mask = 0;
+      hi = Math.min(shape.gridValue(hi), shape.numValues);
+      for (let v = Math.max(shape.gridValue(lo), 1); v <= hi; v++) {
+        mask |= LookupTables.fromValue(v);
+      }
+      return mask;
+    };
+
+    for (const { circle, arrow } of this._arrows) {
+      const minSum = arrow.reduce((a, c) => a + min(c), 0);
+      const maxSum = arrow.reduce((a, c) => a + max(c), 0);
+
+      const eliminations = [];
+      const circleAllowed = rangeMask(minSum, maxSum);
+      if (grid[circle] & ~circleAllowed) {
+        eliminations.push([circle, grid[circle] & ~circleAllowed]);
+      }
+      for (const c of arrow) {
+        const allowed = rangeMask(
+          min(circle) - (maxSum - max(c)), max(circle) - (minSum - min(c)));
+        if (grid[c] & ~allowed) eliminations.push([c, grid[c] & ~allowed]);
+      }
+      if (!eliminations.length) continue;
+
+      return this._makeEliminationStep(
+        'Arrow bounds',
+        `The arrow from ${this._cellId(circle)} sums to between ` +
+        `${minSum} and ${maxSum}.`,
+        [circle, ...arrow], eliminations);
+    }
+    return null;
+  }
+
+  _thermoBounds() {
+    const grid = this._grid;
+    for (const cells of this._thermos) {
+      // Each cell must be at least one more than the minimum of the
+      // previous cell, and one less than the maximum of the next cell.
+      const low = new Uint32Array(cells.length);
+      const high = new Uint32Array(cells.length);
+      for (let i = 0; i < cells.length; i++) {
+        const prev = i ? low[i - 1] : 0;
+        low[i] = Math.max(prev + 1, LookupTables.minValue(grid[cells[i]]));
+      }
+      for (let i = cells.length - 1; i >= 0; i--) {
+        const next = (
+          i < cells.length - 1 ? high[i + 1] : this._shape.numValues + 1);
+        high[i] = Math.min(next - 1, LookupTables.maxValue(grid[cells[i]]));
+      }
+
+      const eliminations = [];
+      cells.forEach((c, i) => {
+        let outside = 0;
+        for (let v = 1; v <= this._shape.numValues; v++) {
+          if (v < low[i] || v > high[i]) outside |= LookupTables.fromValue(v);
+        }
+        if (grid[c] & outside) eliminations.push([c, grid[c] & outside]);
+      });
+      if (!eliminations.length) continue;
+
+      return this._makeEliminationStep(
+        'Thermo bounds',
+        `Values must increase along the thermometer from ` +
+        `${this._cellId(cells[0])}.`,
+        cells, eliminations);
+    }
+    return null;
+  }
+
+  static *_combinations(items, k, start) {
+    start ||= 0;
+    if (k == 0) {
+      yield [];
+      return;
+    }
+    for (let i = start; i <= items.length - k; i++) {
+      for (const rest of this._combinations(items, k - 1, i + 1)) {
+        yield [items[i], ...rest];
+      }
+    }
+  }
+}
@@ -146,7 +146,14 @@ class SudokuConstraintOptimizer {
     process(SudokuConstraintHandler.Sum, h => h.cells);
   }
 
+  // Whether rows and columns contain every value exactly once, and hence
+  // have a known sum.
+  _hasFullHouses(shape) {
+    return shape.numValues == shape.gridSize;
+  }
+
   _fillInSumGap(sumHandlers, sumCells, shape) {
+    if (!this._hasFullHouses(shape)) return [];
     // Fill in a gap if one remains.
     const numNonSumCells = shape.numCells - sumCells.size;
     if (numNonSumCells == 0 || numNonSumCells >= shape.gridSize) return [];
@@ -157,7 +164,7 @@ class SudokuConstraintOptimizer {
     const remainingCells = new Set(shape.allCells);
     sumHandlers.forEach(h => h.cells.forEach(c => remainingCells.delete(c)));
     const newHandler = new SudokuConstraintHandler.Sum(
-      new Uint8Array(remainingCells), remainingSum);
+      new Uint16Array(remainingCells), remainingSum);
 
     sumHandlers.push(newHandler);
     remainingCells.forEach(c => sumCells.add(c));
@@ -434,7 +441,7 @@ class SudokuConstraintOptimizer {
       // pass.
       if (constrainedCells.length == 1) continue;
       // Nothing left to constrain.
-      if (constrainedCells.length == shape.gridSize) continue;
+      if (constrainedCells.length == shape.numValues) continue;
 
       const complementHandler = new SudokuConstraintHandler.Sum(
         complementCells, complementSum);
@@ -538,6 +545,7 @@ class SudokuConstraintOptimizer {
   }
 
   _makeJigsawLawOfLeftoverHandlers(jigsawHandler, hasBoxes, shape) {
+    if (!this._hasFullHouses(shape)) return [];
     const newHandlers = [];
 
     const handleOverlap = (superRegion, piecesRegion, usedPieces) => {
@@ -575,6 +583,7 @@ class SudokuConstraintOptimizer {
   }
 
   _makeInnieOutieSumHandlers(sumHandlers, hasBoxes, shape) {
+    if (!this._hasFullHouses(shape)) return [];
     const newHandlers = [];
     const gridSize = shape.gridSize;
 
@@ -1,46 +1,202 @@
 class GridShape {
+  static MIN_SIZE = 4;
+  static MAX_SIZE = 25;
+  // Composite layouts (e.g. Samurai) place several grids on a larger canvas.
+  // This must not be larger than MAX_SIZE.
+  static MAX_CANVAS_SIZE = 21;
+  static MAX_NUM_CELLS = this.MAX_SIZE * this.MAX_SIZE;
+  // Values are stored in 32-bit masks.
+  static MAX_NUM_VALUES = this.MAX_SIZE;
+  // Lookup tables have an entry for every combination of values, so are only
+  // built for up to this many values.
+  static MAX_TABLE_VALUES = 16;
+  // Cell ids use the same base for every shape, so that they can be parsed
+  // without knowing the shape.
+  static _CELL_ID_BASE = this.MAX_SIZE + 1;
+
   static _registry = new Map();
-  static _numCellsLookup = new Map();
-  static _numPencilmarksLookup = new Map();
-  static _register(shape) {
-    this._registry.set(shape.name, shape);
-    this._numCellsLookup.set(shape.numCells, shape);
-    this._numPencilmarksLookup.set(shape.numPencilmarks, shape);
-  }
-  static get(name) { return this._registry.get(name); }
-  static fromNumCells(numCells) { return this._numCellsLookup.get(numCells); }
+
+  // Shape names are of the form `9x9`, optionally followed by:
+  //  - Box dimensions other than the default as `~<boxWidth>x<boxHeight>`,
+  //    e.g. `12x12~3x4`.
+  //  - For composite layouts, the top-left cell of each sub-grid, e.g.
+  //    `15x15~3x3~R1C1~R7C7` for two overlapping 9x9 grids. The box
+  //    dimensions are required, and determine the size of the sub-grids.
+  //  - A value range other than 1 to the (sub-)grid size as `~<min>-<max>`,
+  //    e.g. `9x9~0-8` or `9x9~1-6`. The minimum value must be 0 or 1.
+  static get(name) {
+    const match = name.match(
+      /^(\d+)x(\d+)(?:~(\d+)x(\d+))?((?:~R\wC\w)*)(?:~(\d+)-(\d+))?$/);
+    if (!match || match[1] !== match[2]) return undefined;
+
+    let subGrids;
+    if (match[5]) {
+      if (match[3] === undefined) return undefined;
+      subGrids = match[5].substring(1).split('~').map(cellId => {
+        const { row, col } = this._parseCellIdRowCol(cellId);
+        return [row, col];
+      });
+    }
+    let numValues, valueOffset;
+    if (match[6] !== undefined) {
+      valueOffset = +match[6] - 1;
+      numValues = +match[7] - valueOffset;
+    }
+    return this.fromGridSize(
+      +match[1],
+      match[3] && +match[3], match[4] && +match[4],
+      numValues, valueOffset, subGrids);
+  }
+
+  // Layouts with several overlapping 9x9 grids.
+  static SAMURAI = this.get('21x21~3x3~R1C1~R1Cd~R7C7~RdC1~RdCd');
+  static BUTTERFLY = this.get('12x12~3x3~R1C1~R1C4~R4C1~R4C4');
+  static TWODOKU = this.get('15x15~3x3~R1C1~R7C7');
+
+  // Values in the grid are always 1 to numValues. The value shown to the
+  // user (and used in constraints) is the value plus `valueOffset`.
+  // `subGrids` is a list of the [row, col] of the top-left cell of each
+  // sub-grid for composite layouts.
+  static fromGridSize(
+    gridSize, boxWidth, boxHeight, numValues, valueOffset, subGrids) {
+    const maxSize = subGrids ? this.MAX_CANVAS_SIZE : this.MAX_SIZE;
+    if (!Number.isInteger(gridSize) ||
+      gridSize < this.MIN_SIZE || gridSize > maxSize) {
+      return undefined;
+    }
+    // The size of a sub-grid, or the whole grid.
+    const regionSize = subGrids ? boxWidth * boxHeight : gridSize;
+    if (boxWidth === undefined) {
+      [boxWidth, boxHeight] = this.defaultBoxDimensions(gridSize);
+    } else if (!(boxWidth > 1 && boxHeight > 1 &&
+      boxWidth * boxHeight === regionSize && regionSize <= this.MAX_SIZE)) {
+      return undefined;
+    }
+    numValues ??= regionSize;
+    valueOffset ??= 0;
+    if (!(numValues > 1 && numValues <= this.MAX_NUM_VALUES)) return undefined;
+    if (valueOffset !== 0 && valueOffset !== -1) return undefined;
+    if (subGrids) {
+      if (numValues < regionSize) return undefined;
+      const isValidOrigin = (x) => (
+        Number.isInteger(x) && x >= 0 && x + regionSize <= gridSize);
+      if (!subGrids.every(([r, c]) => isValidOrigin(r) && isValidOrigin(c))) {
+        return undefined;
+      }
+    }
+
+    const key = [
+      gridSize, boxWidth, boxHeight, numValues, valueOffset, subGrids].join();
+    if (!this._registry.has(key)) {
+      this._registry.set(key, new GridShape(
+        gridSize, boxWidth, boxHeight, numValues, valueOffset, subGrids));
+    }
+    return this._registry.get(key);
+  }
+
+  static fromNumCells(numCells) {
+    return this.fromGridSize(Math.sqrt(numCells));
+  }
   static fromNumPencilmarks(numPencilmarks) {
-    return this._numPencilmarksLookup.get(numPencilmarks);
+    const gridSize = Math.round(Math.cbrt(numPencilmarks));
+    if (gridSize ** 3 !== numPencilmarks) return undefined;
+    return this.fromGridSize(gridSize);
+  }
+
+  // Returns all the valid [boxWidth, boxHeight] for the grid size, with
+  // the boxes closest to square first.
+  static boxDimensions(gridSize) {
+    const dims = [];
+    for (let h = Math.floor(Math.sqrt(gridSize)); h > 1; h--) {
+      if (gridSize % h) continue;
+      const w = gridSize / h;
+      dims.push([w, h]);
+      if (w != h) dims.push([h, w]);
+    }
+    return dims;
   }
 
-  constructor(gridSize, boxWidth, boxHeight) {
+  // Boxes are the widest of the most square options. Grid sizes which
+  // can't be split into boxes (e.g. 7x7) have none.
+  static defaultBoxDimensions(gridSize) {
+    return this.boxDimensions(gridSize)[0] || [null, null];
+  }
+
+  constructor(gridSize, boxWidth, boxHeight, numValues, valueOffset, subGrids) {
     this.boxWidth = boxWidth;
     this.boxHeight = boxHeight;
+    this.noDefaultBoxes = boxWidth === null;
     this.gridSize = gridSize;
-    this.numValues = gridSize;
+    this.numValues = numValues;
+    this.valueOffset = valueOffset;
+    this.minValue = 1 + valueOffset;
+    this.maxValue = numValues + valueOffset;
     this.numCells = gridSize * gridSize;
     this.numPencilmarks = this.numCells * this.numValues;
-
-    this.name = `${gridSize}x${gridSize}`;
-
-    this._valueBase = this.numValues + 1;
+    this.subGrids = subGrids || null;
+    this.subGridSize = subGrids ? boxWidth * boxHeight : gridSize;
+    // Rows, columns and boxes can only contain each value once if there are
+    // enough values to fill them. For composite layouts, the rows and columns
+    // of the canvas are not regions.
+    this.hasDefaultRegions = !subGrids && numValues >= gridSize;
 
     this.allCells = [];
     for (let i = 0; i < this.numCells; i++) this.allCells.push(i);
 
-    this.maxSum = this.gridSize * (this.gridSize + 1) / 2;
+    // Cells which are not part of any sub-grid.
+    this.inactiveCells = [];
+    if (subGrids) {
+      const active = new Set();
+      for (const [row, col] of subGrids) {
+        for (let r = 0; r < this.subGridSize; r++) {
+          for (let c = 0; c < this.subGridSize; c++) {
+            active.add(this.cellIndex(row + r, col + c));
+          }
+        }
+      }
+      this.inactiveCells = this.allCells.filter(c => !active.has(c));
+    }
+    this._inactiveCellSet = new Set(this.inactiveCells);
+
+    this.name = `${gridSize}x${gridSize}`;
+    const [defaultBoxWidth, _] = GridShape.defaultBoxDimensions(gridSize);
+    if (boxWidth !== defaultBoxWidth || subGrids) {
+      this.name += `~${boxWidth}x${boxHeight}`;
+    }
+    if (subGrids) {
+      for (const [row, col] of subGrids) {
+        this.name += `~${this.makeCellId(row, col)}`;
+      }
+    }
+    if (numValues !== this.subGridSize || valueOffset !== 0) {
+      this.name += `~${this.minValue}-${this.maxValue}`;
+    }
+
+    // The sum of all values (before the offset is applied).
+    this.maxSum = this.numValues * (this.numValues + 1) / 2;
 
     Object.freeze(this);
-    this.constructor._register(this);
   }
 
+  // Convert between values in the grid and values shown to the user.
+  displayValue = (value) => {
+    return value + this.valueOffset;
+  }
+
+  gridValue = (displayValue) => {
+    return displayValue - this.valueOffset;
+  }
+
+  // Value ids contain display values, but `n` and the parsed values are grid
+  // values.
   makeValueId = (cellIndex, n) => {
     const cellId = this.makeCellIdFromIndex(cellIndex);
-    return `${cellId}_${n}`;
+    return `${cellId}_${this.displayValue(n)}`;
   }
 
   makeCellId = (row, col) => {
-    return `R${(row + 1).toString(this._valueBase)}C${(col + 1).toString(this._valueBase)}`;
+    const base = GridShape._CELL_ID_BASE;
+    return `R${(row + 1).toString(base)}C${(col + 1).toString(base)}`;
   }
 
   makeCellIdFromIndex = (i) => {
@@ -58,15 +214,33 @@ class GridShape {
   parseValueId = (valueId) => {
     let [cellId, ...values] = valueId.split('_');
     return {
-      values: values.map(v => parseInt(v)),
+      values: values.map(v => this.gridValue(parseInt(v))),
       cellId: cellId,
       ...this.parseCellId(cellId),
     };
   }
 
+  isActiveCell = (cell) => {
+    return !this._inactiveCellSet.has(cell);
+  }
+
+  // Cell ids have a single character for the row and column (e.g. `RpC1` is
+  // row 25). Decimal rows and columns (e.g. `R25C1`) are also accepted, which
+  // can't be confused with the short form as they are longer.
+  static _parseCellIdRowCol(cellId) {
+    if (cellId.length == 4) {
+      return {
+        row: parseInt(cellId[1], this._CELL_ID_BASE) - 1,
+        col: parseInt(cellId[3], this._CELL_ID_BASE) - 1,
+      };
+    }
+    const match = cellId.match(/^R(\d+)C(\d+)$/i);
+    if (!match) throw ('Invalid cell id: ' + cellId);
+    return { row: +match[1] - 1, col: +match[2] - 1 };
+  }
+
   parseCellId = (cellId) => {
-    let row = parseInt(cellId[1], this._valueBase) - 1;
-    let col = parseInt(cellId[3], this._valueBase) - 1;
+    const { row, col } = GridShape._parseCellIdRowCol(cellId);
     return {
       cell: this.cellIndex(row, col),
       row: row,
@@ -75,10 +249,11 @@ class GridShape {
   }
 }
 
-const SHAPE_6x6 = new GridShape(6, 3, 2);
-const SHAPE_9x9 = new GridShape(9, 3, 3);
-const SHAPE_16x16 = new GridShape(16, 4, 4);
-const SHAPE_MAX = SHAPE_16x16;
+const SHAPE_6x6 = GridShape.fromGridSize(6);
+const SHAPE_9x9 = GridShape.fromGridSize(9);
+const SHAPE_16x16 = GridShape.fromGridSize(16);
+const SHAPE_25x25 = GridShape.fromGridSize(25);
+const SHAPE_MAX = SHAPE_25x25;
 
 class SudokuParser {
   static parseShortKillerFormat(text) {
@@ -204,27 +379,34 @@ class SudokuParser {
     return new SudokuConstraint.Set(constraints);
   }
 
-  static SHAPE_TO_BASE_CHAR_CODE = new Map([
-    [SHAPE_6x6, '1'.charCodeAt(0)],
-    [SHAPE_9x9, '1'.charCodeAt(0)],
-    [SHAPE_16x16, 'A'.charCodeAt(0)],
-  ])
+  // Values are written as digits when they fit, and as letters otherwise.
+  // Returns the character code for the grid value 1.
+  static shapeToBaseCharCode(shape) {
+    if (shape.maxValue > 9) return 'A'.charCodeAt(0);
+    return '0'.charCodeAt(0) + shape.minValue;
+  }
 
-  static parsePlainSudoku(text) {
-    const shape = GridShape.fromNumCells(text.length);
+  // Use the shape from earlier in the input if it has the right number of
+  // cells, so that its value range is used.
+  static _shapeFromNumCells(numCells, shape) {
+    if (shape?.numCells === numCells) return shape;
+    return GridShape.fromNumCells(numCells);
+  }
+
+  static parsePlainSudoku(text, shape) {
+    shape = this._shapeFromNumCells(text.length, shape);
     if (!shape) return null;
 
     const numCells = shape.numCells;
-    const gridSize = shape.gridSize;
+    const numValues = shape.numValues;
 
-    const baseCharCode = this.SHAPE_TO_BASE_CHAR_CODE.get(shape);
-    if (!baseCharCode) return null;
+    const baseCharCode = this.shapeToBaseCharCode(shape);
 
     let fixedValues = [];
     let nonValueCharacters = [];
     for (let i = 0; i < numCells; i++) {
       let c = text.charCodeAt(i);
-      if (c >= baseCharCode && c <= baseCharCode + gridSize - 1) {
+      if (c >= baseCharCode && c <= baseCharCode + numValues - 1) {
         fixedValues.push(shape.makeValueId(i, c - baseCharCode + 1));
       } else {
         nonValueCharacters.push(c);
@@ -237,8 +419,8 @@ class SudokuParser {
     ]);
   }
 
-  static parseJigsawLayout(text) {
-    const shape = GridShape.fromNumCells(text.length);
+  static parseJigsawLayout(text, shape) {
+    shape = this._shapeFromNumCells(text.length, shape);
     if (!shape) return null;
 
     const numCells = shape.numCells;
@@ -262,25 +444,25 @@ class SudokuParser {
     ]);
   }
 
-  static parseJigsaw(text) {
+  static parseJigsaw(text, shape) {
     if (text.length % 2 !== 0) return null;
 
-    const shape = GridShape.fromNumCells(text.length / 2);
+    shape = this._shapeFromNumCells(text.length / 2, shape);
     if (!shape) return null;
 
     const numCells = shape.numCells;
 
-    const layout = this.parseJigsawLayout(text.substr(numCells));
+    const layout = this.parseJigsawLayout(text.substr(numCells), shape);
     if (layout == null) return null;
 
-    const fixedValues = this.parsePlainSudoku(text.substr(0, numCells));
+    const fixedValues = this.parsePlainSudoku(text.substr(0, numCells), shape);
     if (fixedValues == null) return null;
 
     return new SudokuConstraint.Set([layout, fixedValues]);
   }
 
-  static parseGridLayout(rawText) {
-    if (rawText.length < SHAPE_9x9.numCells * 2) return null;
+  static parseGridLayout(rawText, shape) {
+    if (rawText.length < GridShape.MIN_SIZE ** 2 * 2) return null;
 
     // Only allow digits, dots, spaces and separators.
     if (rawText.search(/[^\d\s.|_-]/) != -1) return null;
@@ -288,14 +470,14 @@ class SudokuParser {
     const parts = [...rawText.matchAll(/[.]|\d+/g)];
     const numParts = parts.length;
 
-    const shape = GridShape.fromNumCells(numParts);
+    shape = this._shapeFromNumCells(numParts, shape);
     if (!shape) return null;
 
     let fixedValues = [];
     for (let i = 0; i < numParts; i++) {
       const cell = parts[i];
       if (cell == '.') continue;
-      fixedValues.push(shape.makeValueId(i, cell));
+      fixedValues.push(shape.makeValueId(i, shape.gridValue(+cell[0])));
     }
 
     return new SudokuConstraint.Set([
@@ -304,8 +486,10 @@ class SudokuParser {
     ]);
   }
 
-  static parsePencilmarks(text) {
-    const shape = GridShape.fromNumPencilmarks(text.length);
+  static parsePencilmarks(text, shape) {
+    if (shape?.numPencilmarks !== text.length) {
+      shape = GridShape.fromNumPencilmarks(text.length);
+    }
     if (!shape) return null;
 
     // Only allow digits, and dots.
@@ -331,7 +515,7 @@ class SudokuParser {
     ]);
   }
 
-  static parseTextLine(rawText) {
+  static parseTextLine(rawText, shape) {
     // Remove all whitespace.
     const text = rawText.replace(/\s+/g, '');
 
@@ -343,34 +527,54 @@ class SudokuParser {
     constraint = this.parseLongKillerFormat(text);
     if (constraint) return constraint;
 
-    constraint = this.parseJigsaw(text);
+    constraint = this.parseJigsaw(text, shape);
     if (constraint) return constraint;
 
-    constraint = this.parseJigsawLayout(text);
+    constraint = this.parseJigsawLayout(text, shape);
     if (constraint) return constraint;
 
-    constraint = this.parsePlainSudoku(text);
+    constraint = this.parsePlainSudoku(text, shape);
     if (constraint) return constraint;
 
-    constraint = this.parseGridLayout(rawText);
+    constraint = this.parseGridLayout(rawText, shape);
     if (constraint) return constraint;
 
-    constraint = this.parsePencilmarks(text);
+    constraint = this.parsePencilmarks(text, shape);
     if (constraint) return constraint;
 
     return null;
   }
 
-  static parseText(rawText) {
+  // Features of puzzles from other tools which can't be imported are added
+  // to `warnings` if it is provided, otherwise they are an error.
+  static parseText(rawText, warnings) {
+    const external = ExternalPuzzleParser.parse(rawText);
+    if (external) {
+      if (external.unsupported.length) {
+        if (!warnings) {
+          throw ('Unsupported features: ' + external.unsupported.join(', '));
+        }
+        warnings.push(...external.unsupported);
+      }
+      return external.constraint;
+    }
+
     const constraints = [];
+    // Grids are read with the shape from earlier sections (if any), so that
+    // they can use a different value range.
+    let shape = null;
     // Parse sections separated by a blank line separately,
     // and then merge their constraints.
     for (const part of rawText.split(/\n\s*\n/)) {
-      let constraint = this.parseTextLine(part);
+      let constraint = this.parseTextLine(part, shape);
       if (!constraint) {
         constraint = this.parseString(part);
       }
       constraints.push(constraint);
+      const [_, metaConstraints] = constraint.toLists();
+      if (metaConstraints.some(c => c.type === 'Shape')) {
+        shape = constraint.getShape();
+      }
     }
     if (constraints.length == 1) return constraints[0];
     return new SudokuConstraint.Set(constraints);
@@ -400,6 +604,22 @@ class SudokuParser {
 class SudokuConstraintBase {
   static DEFAULT_SHAPE = SHAPE_9x9;
 
+  // Constraints which are solved with lookup tables, so can't be used with
+  // more than GridShape.MAX_TABLE_VALUES values.
+  static LOOKUP_TABLE_TYPES = new Set([
+    'Cage', 'Sum', 'Arrow', 'DoubleArrow', 'PillArrow', 'Thermo', 'Whisper',
+    'Renban', 'Modular', 'Entropic', 'RegionSumLine', 'Between', 'Lockout',
+    'Palindrome', 'Zipper', 'WhiteDot', 'BlackDot', 'X', 'V', 'Binary',
+    'BinaryX', 'LittleKiller', 'Sandwich', 'XSum', 'AntiConsecutive',
+    'StrictKropki', 'StrictXV',
+  ]);
+
+  static isSupportedByShape(type, shape) {
+    return (
+      shape.numValues <= GridShape.MAX_TABLE_VALUES ||
+      !this.LOOKUP_TABLE_TYPES.has(type));
+  }
+
   constructor(args) {
     this.args = args ? [...args] : [];
     this.type = this.constructor.name;
@@ -442,8 +662,10 @@ class SudokuConstraintBase {
 
   static getShapeFromMeta(metaConstraint) {
     const shapeArgs = metaConstraint.get('Shape');
-    const shape = shapeArgs ? GridShape.get(shapeArgs[0]) : this.DEFAULT_SHAPE;
-    if (!shape) throw ('Unknown shape: ' + shape);
+    // Box dimensions are split into a separate argument when parsed.
+    const shapeName = shapeArgs?.join('~');
+    const shape = shapeArgs ? GridShape.get(shapeName) : this.DEFAULT_SHAPE;
+    if (!shape) throw ('Unknown shape: ' + shapeName);
     return shape;
   }
   getShape() {
@@ -473,6 +695,8 @@ class SudokuConstraintBase {
     return this._makeRegions((c, i) => i * gridSize + c, gridSize);
   });
   static boxRegions = memoize((shape) => {
+    if (shape.noDefaultBoxes) return [];
+    if (shape.subGrids) return this.subGridRegions(shape).boxes;
     const gridSize = shape.gridSize;
     const boxWidth = shape.boxWidth;
     const boxHeight = shape.boxHeight;
@@ -481,6 +705,7 @@ class SudokuConstraintBase {
         + (r % boxHeight | 0) * boxWidth + (i / boxHeight | 0), gridSize);
   });
   static disjointSetRegions = memoize((shape) => {
+    if (shape.noDefaultBoxes || shape.subGrids) return [];
     const gridSize = shape.gridSize;
     const boxWidth = shape.boxWidth;
     const boxHeight = shape.boxHeight;
@@ -489,6 +714,28 @@ class SudokuConstraintBase {
         + (i % boxHeight | 0) * boxWidth + (r / boxHeight | 0), gridSize);
   });
 
+  // The rows, columns and boxes of each sub-grid of a composite layout.
+  // Boxes shared between sub-grids are only included once.
+  static subGridRegions = memoize((shape) => {
+    const subGridSize = shape.subGridSize;
+    const rows = [];
+    const cols = [];
+    const boxes = new Map();
+    for (const [row, col] of shape.subGrids) {
+      const subGridCell = (r, c) => shape.cellIndex(row + r, col + c);
+      rows.push(...this._makeRegions(subGridCell, subGridSize));
+      cols.push(...this._makeRegions((c, i) => subGridCell(i, c), subGridSize));
+      for (const cells of this._makeRegions(
+        (r, i) => subGridCell(
+          (r / shape.boxHeight | 0) * shape.boxHeight + (i / shape.boxWidth | 0),
+          (r % shape.boxHeight) * shape.boxWidth + (i % shape.boxWidth)),
+        subGridSize)) {
+        boxes.set(cells.join(), cells);
+      }
+    }
+    return { rows, cols, boxes: [...boxes.values()] };
+  });
+
   static fullLineCellMap = memoize((shape) => {
     let map = new Map();
     const gridSize = shape.gridSize;
@@ -513,6 +760,19 @@ class SudokuConstraintBase {
     constructor(...args) { super(args); }
     isMeta = true;
   }
+
+  // Puzzle information which doesn't affect the solution. The text is encoded
+  // so that it can contain any characters.
+  static _MetaText = class _MetaText extends SudokuConstraintBase._Meta {
+    constructor(...args) {
+      super(...args);
+      this.text = SudokuConstraint.Binary.decodeName(args.join('~'));
+    }
+
+    static fromText(text) {
+      return new this(SudokuConstraint.Binary.encodeName(text));
+    }
+  }
 }
 
 class SudokuConstraint {
@@ -656,28 +916,33 @@ class SudokuConstraint {
 
   static NoBoxes = class NoBoxes extends SudokuConstraintBase._Meta { }
   static StrictKropki = class StrictKropki extends SudokuConstraintBase._Meta {
-    static fnKey = memoize((numValues) =>
+    static fnKey = memoize((numValues, valueOffset) =>
       SudokuConstraint.Binary.fnToKey(
         (a, b) => a != b * 2 && b != a * 2 && b != a - 1 && b != a + 1,
-        numValues)
+        numValues, valueOffset)
     );
   }
   static StrictXV = class StrictXV extends SudokuConstraintBase._Meta {
-    static fnKey = memoize((numValues) =>
+    static fnKey = memoize((numValues, valueOffset) =>
       SudokuConstraint.Binary.fnToKey(
         (a, b) => a + b != 5 && a + b != 10,
-        numValues)
+        numValues, valueOffset)
     );
   }
   static Shape = class Shape extends SudokuConstraintBase._Meta {
     toString() {
-      if (this.args[0] === SHAPE_9x9.name) return '';
+      if (this.args.join('~') === SHAPE_9x9.name) return '';
       return super.toString();
     }
   }
+  static Title = class Title extends SudokuConstraintBase._MetaText { }
+  static Author = class Author extends SudokuConstraintBase._MetaText { }
+  static Rules = class Rules extends SudokuConstraintBase._MetaText { }
+  static Source = class Source extends SudokuConstraintBase._MetaText { }
 
   static Windoku = class Windoku extends SudokuConstraintBase {
     static regions = memoize((shape) => {
+      if (shape.noDefaultBoxes || shape.subGrids) return [];
       const gridSize = shape.gridSize;
       const boxWidth = shape.boxWidth;
       const boxHeight = shape.boxHeight;
@@ -730,7 +995,7 @@ class SudokuConstraint {
         }
       }
 
-      return regions;
+      return regions.filter(cells => cells.every(shape.isActiveCell));
     });
   }
 
@@ -760,10 +1025,10 @@ class SudokuConstraint {
       this.cells = cells;
     }
 
-    static fnKey = memoize((numValues) =>
+    static fnKey = memoize((numValues, valueOffset) =>
       SudokuConstraint.Binary.fnToKey(
         (a, b) => a == b * 2 || b == a * 2,
-        numValues)
+        numValues, valueOffset)
     );
   }
 
@@ -966,12 +1231,14 @@ class SudokuConstraint {
       if (currentGroup.cells.length) yield currentGroup;
     }
 
-    static fnToKey(fn, numValues) {
-      const array = this._fnTo6BitArray(fn, numValues);
+    // `fn` is called with display values, so `valueOffset` must match the
+    // shape the key is used with.
+    static fnToKey(fn, numValues, valueOffset) {
+      const array = this._fnTo6BitArray(fn, numValues, valueOffset || 0);
       return Base64Codec.encode6BitArray(array);
     }
 
-    static _fnTo6BitArray(fn, numValues) {
+    static _fnTo6BitArray(fn, numValues, valueOffset) {
       const NUM_BITS = 6;
       const array = [];
 
@@ -979,7 +1246,7 @@ class SudokuConstraint {
       let vIndex = 0;
       for (let i = 1; i <= numValues; i++) {
         for (let j = 1; j <= numValues; j++) {
-          v |= (!!fn(i, j)) << vIndex;
+          v |= (!!fn(i + valueOffset, j + valueOffset)) << vIndex;
           if (++vIndex == NUM_BITS) {
             array.push(v);
             vIndex = 0;
@@ -1010,11 +1277,11 @@ class SudokuConstraint {
   }
 
   static BinaryX = class BinaryX extends SudokuConstraint.Binary {
-    static fnToKey(fn, numValues) {
+    static fnToKey(fn, numValues, valueOffset) {
       // Make the function symmetric.
       return super.fnToKey(
         (a, b) => fn(a, b) && fn(b, a),
-        numValues);
+        numValues, valueOffset);
     }
   }
 
@@ -1080,9 +1347,26 @@ class SudokuBuilder {
     return solverProxy;
   }
 
+  // Build a solver which counts solutions and finds all possibilities by
+  // splitting the search across `numWorkers` workers.
+  static async buildInParallelWorkers(
+    constraints, numWorkers, stateHandler, statusHandler) {
+    const solverProxy = new ParallelSolverProxy(stateHandler, statusHandler);
+    await solverProxy.init(numWorkers, (workerStateHandler) => (
+      this.buildInWorker(constraints, workerStateHandler)));
+    return solverProxy;
+  }
+
   static *_handlers(constraints, shape, metaConfig) {
-    const noBoxes = metaConfig.has('NoBoxes');
-    yield* SudokuBuilder._rowColHandlers(shape);
+    const noBoxes = (
+      metaConfig.has('NoBoxes') || shape.noDefaultBoxes ||
+      !(shape.hasDefaultRegions || shape.subGrids));
+    if (shape.hasDefaultRegions) {
+      yield* SudokuBuilder._rowColHandlers(shape);
+    }
+    if (shape.subGrids) {
+      yield* SudokuBuilder._subGridHandlers(shape);
+    }
     yield* SudokuBuilder._constraintHandlers(constraints, shape, noBoxes);
     if (noBoxes) {
       yield new SudokuConstraintHandler.NoBoxes();
@@ -1094,14 +1378,15 @@ class SudokuBuilder {
       yield* SudokuBuilder._strictAdjHandlers(
         constraints.filter(x => types.includes(x.type)),
         shape,
-        SudokuConstraint.StrictKropki.fnKey(shape.numValues));
+        SudokuConstraint.StrictKropki.fnKey(
+          shape.numValues, shape.valueOffset));
     }
     if (metaConfig.has('StrictXV')) {
       const types = ['X', 'V'];
       yield* SudokuBuilder._strictAdjHandlers(
         constraints.filter(x => types.includes(x.type)),
         shape,
-        SudokuConstraint.StrictXV.fnKey(shape.numValues));
+        SudokuConstraint.StrictXV.fnKey(shape.numValues, shape.valueOffset));
     }
   }
 
@@ -1114,6 +1399,19 @@ class SudokuBuilder {
     }
   }
 
+  // Each sub-grid of a composite layout has its own rows and columns. Cells
+  // outside all the sub-grids are fixed so that they don't add solutions.
+  static *_subGridHandlers(shape) {
+    const { rows, cols } = SudokuConstraintBase.subGridRegions(shape);
+    for (const cells of [...rows, ...cols]) {
+      yield new SudokuConstraintHandler.AllDifferent(cells);
+    }
+    if (shape.inactiveCells.length) {
+      yield new SudokuConstraintHandler.GivenCandidates(
+        new Map(shape.inactiveCells.map(c => [c, 1])));
+    }
+  }
+
   static *_boxHandlers(shape) {
     for (const cells of SudokuConstraintBase.boxRegions(shape)) {
       yield new SudokuConstraintHandler.AllDifferent(cells);
@@ -1184,6 +1482,7 @@ class SudokuBuilder {
             let c = constraint.direction > 0 ? gridSize - r - 1 : r;
             cells.push(shape.cellIndex(r, c));
           }
+          cells = cells.filter(shape.isActiveCell);
           yield new SudokuConstraintHandler.AllDifferent(cells);
           break;
 
@@ -1193,7 +1492,8 @@ class SudokuBuilder {
               constraint.cells.map(c => shape.parseCellId(c).cell));
 
             yield new SudokuConstraintHandler.SumWithNegative(
-              positiveCells, [negativeCell], 0);
+              positiveCells, [negativeCell],
+              this._gridSum(0, positiveCells.length - 1, shape));
           }
           break;
 
@@ -1205,11 +1505,13 @@ class SudokuBuilder {
             const positiveCells = cells.slice(1, -1);
 
             yield new SudokuConstraintHandler.SumWithNegative(
-              positiveCells, negativeCells, 0);
+              positiveCells, negativeCells,
+              this._gridSum(0, positiveCells.length - 2, shape));
           }
           break;
 
         case 'PillArrow':
+          this._requireNoValueOffset(constraint, shape);
           {
             const cells = (
               constraint.cells.map(c => shape.parseCellId(c).cell));
@@ -1225,10 +1527,11 @@ class SudokuBuilder {
           cells = constraint.cells.map(c => shape.parseCellId(c).cell);
           // A sum of 0 means any sum is ok - i.e. the same as AllDifferent.
           if (constraint.sum != 0) {
-            if (cells.length <= gridSize) {
-              yield new SudokuConstraintHandler.Sum(cells, constraint.sum);
+            if (cells.length <= shape.numValues) {
+              yield new SudokuConstraintHandler.Sum(
+                cells, this._gridSum(constraint.sum, cells.length, shape));
             } else {
-              // Sum can't handle more than gridSize cells.
+              // Sum can't handle more than numValues cells.
               yield new SudokuConstraintHandler.False(cells);
             }
           }
@@ -1237,16 +1540,19 @@ class SudokuBuilder {
 
         case 'Sum':
           cells = constraint.cells.map(c => shape.parseCellId(c).cell);
-          yield new SudokuConstraintHandler.Sum(cells, constraint.sum);
+          yield new SudokuConstraintHandler.Sum(
+            cells, this._gridSum(constraint.sum, cells.length, shape));
           break;
 
         case 'LittleKiller':
           cells = SudokuConstraint.LittleKiller
             .cellMap(shape)[constraint.id].map(c => shape.parseCellId(c).cell);
-          yield new SudokuConstraintHandler.Sum(cells, constraint.sum);
+          yield new SudokuConstraintHandler.Sum(
+            cells, this._gridSum(constraint.sum, cells.length, shape));
           break;
 
         case 'XSum':
+          this._requireDefaultValues(constraint, shape);
           cells = SudokuConstraintBase.fullLineCellMap(shape)
             .get([constraint.rowCol, 1].toString()).map(
               c => shape.parseCellId(c).cell);
@@ -1262,6 +1568,7 @@ class SudokuBuilder {
           break;
 
         case 'Sandwich':
+          this._requireDefaultValues(constraint, shape);
           cells = SudokuConstraintBase.fullLineCellMap(shape)
             .get([constraint.id, 1].toString()).map(
               c => shape.parseCellId(c).cell);
@@ -1269,6 +1576,7 @@ class SudokuBuilder {
           break;
 
         case 'Skyscraper':
+          this._requireDefaultValues(constraint, shape);
           cells = SudokuConstraintBase.fullLineCellMap(shape)
             .get([constraint.rowCol, 1].toString()).map(
               c => shape.parseCellId(c).cell);
@@ -1363,6 +1671,7 @@ class SudokuBuilder {
 
 
         case 'RegionSumLine':
+          this._requireNoValueOffset(constraint, shape);
           // Region sum lines only makes sense when we have boxes.
           if (!noBoxes) {
             cells = constraint.cells.map(c => shape.parseCellId(c).cell);
@@ -1406,7 +1715,7 @@ class SudokuBuilder {
               const centerCell = [cells[(numCells / 2) | 0]];
               for (const pair of pairs) {
                 yield new SudokuConstraintHandler.SumWithNegative(
-                  pair, centerCell, 0);
+                  pair, centerCell, this._gridSum(0, 1, shape));
               }
             } else {
               // Otherwise create an equal sum constraint between each pair.
@@ -1422,6 +1731,7 @@ class SudokuBuilder {
           break;
 
         case 'SumLine':
+          this._requireNoValueOffset(constraint, shape);
           let sum = constraint.sum;
           cells = constraint.cells.map(c => shape.parseCellId(c).cell);
           yield new SudokuConstraintHandler.SumLine(cells, sum);
@@ -1438,17 +1748,20 @@ class SudokuBuilder {
           cells = constraint.cells.map(c => shape.parseCellId(c).cell);
           yield new SudokuConstraintHandler.BinaryConstraint(
             cells[0], cells[1],
-            SudokuConstraint.BlackDot.fnKey(shape.numValues));
+            SudokuConstraint.BlackDot.fnKey(
+              shape.numValues, shape.valueOffset));
           break;
 
         case 'X':
           cells = constraint.cells.map(c => shape.parseCellId(c).cell);
-          yield new SudokuConstraintHandler.Sum(cells, 10);
+          yield new SudokuConstraintHandler.Sum(
+            cells, this._gridSum(10, cells.length, shape));
           break;
 
         case 'V':
           cells = constraint.cells.map(c => shape.parseCellId(c).cell);
-          yield new SudokuConstraintHandler.Sum(cells, 5);
+          yield new SudokuConstraintHandler.Sum(
+            cells, this._gridSum(5, cells.length, shape));
           break;
 
         case 'Windoku':
@@ -1473,7 +1786,7 @@ class SudokuBuilder {
           yield new SudokuConstraintHandler.Quadruple(
             shape.parseCellId(constraint.topLeftCell).cell,
             shape.gridSize,
-            constraint.values.map(v => +v));
+            constraint.values.map(v => shape.gridValue(+v)));
           break;
 
         case 'Binary':
@@ -1511,6 +1824,23 @@ class SudokuBuilder {
     }
   }
 
+  // Convert a sum of `numCells` display values into a sum of grid values.
+  static _gridSum(sum, numCells, shape) {
+    return sum - numCells * shape.valueOffset;
+  }
+
+  static _requireNoValueOffset(constraint, shape) {
+    if (shape.valueOffset) {
+      throw (`${constraint.type} constraints require values starting at 1`);
+    }
+  }
+
+  static _requireDefaultValues(constraint, shape) {
+    if (shape.valueOffset || shape.numValues != shape.gridSize) {
+      throw (`${constraint.type} constraints require values 1 to ${shape.gridSize}`);
+    }
+  }
+
   static * _antiHandlers(shape, exclusionFn) {
     const gridSize = shape.gridSize;
 
@@ -1522,6 +1852,9 @@ class SudokuBuilder {
         for (const [rr, cc] of exclusionFn(r, c)) {
           if (rr < 0 || rr >= gridSize || cc < 0 || cc >= gridSize) continue;
           const exclusionCell = shape.cellIndex(rr, cc);
+          if (!shape.isActiveCell(cell) || !shape.isActiveCell(exclusionCell)) {
+            continue;
+          }
           yield new SudokuConstraintHandler.AllDifferent([cell, exclusionCell]);
         }
       }
@@ -1541,7 +1874,12 @@ class SudokuBuilder {
         let cell = shape.cellIndex(r, c);
         for (const [rr, cc] of adjacentCellsFn(r, c)) {
           if (rr < 0 || rr >= gridSize || cc < 0 || cc >= gridSize) continue;
-          pairs.push([cell, shape.cellIndex(rr, cc)]);
+          const adjacentCell = shape.cellIndex(rr, cc);
+          // Cells outside the sub-grids of a composite layout aren't used.
+          if (!shape.isActiveCell(cell) || !shape.isActiveCell(adjacentCell)) {
+            continue;
+          }
+          pairs.push([cell, adjacentCell]);
         }
       }
     }
@@ -1549,6 +1887,18 @@ class SudokuBuilder {
     return pairs;
   }
 
+  // Dots which could be added between adjacent cells, as {type, cells, key}
+  // for SudokuSolver.suggestClues.
+  static candidateDotClues(shape) {
+    const whiteKey = SudokuConstraint.WhiteDot.fnKey(shape.numValues);
+    const blackKey = SudokuConstraint.BlackDot.fnKey(
+      shape.numValues, shape.valueOffset);
+    return this._adjacentCellPairs(shape).flatMap(cells => [
+      { type: 'WhiteDot', cells: cells, key: whiteKey },
+      { type: 'BlackDot', cells: cells, key: blackKey },
+    ]);
+  }
+
   static * _antiConsecutiveHandlers(shape) {
     for (const [cell, exclusionCell] of this._adjacentCellPairs(shape)) {
       yield new SudokuConstraintHandler.BinaryConstraint(
@@ -1591,8 +1941,44 @@ class SolverProxy {
     return this._callWorker('nthStep', [n, stepGuides]);
   }
 
-  async countSolutions() {
-    return this._callWorker('countSolutions');
+  async countSolutions(limit) {
+    return this._callWorker('countSolutions', limit);
+  }
+
+  async nthLogicalStep(n) {
+    return this._callWorker('nthLogicalStep', n);
+  }
+
+  async rateDifficulty(numSeeds) {
+    return this._callWorker('rateDifficulty', numSeeds);
+  }
+
+  async minimizeGivens(givens) {
+    return this._callWorker('minimizeGivens', givens);
+  }
+
+  async generatePuzzle(options) {
+    return this._callWorker('generatePuzzle', options);
+  }
+
+  async candidateFrequencies(limit, numSamples) {
+    return this._callWorker('candidateFrequencies', [limit, numSamples]);
+  }
+
+  async suggestClues(pairClues, limit, numSamples) {
+    return this._callWorker('suggestClues', [pairClues, limit, numSamples]);
+  }
+
+  async explainCandidate(cell, value) {
+    return this._callWorker('explainCandidate', [cell, value]);
+  }
+
+  async splitSearch(numParts) {
+    return this._callWorker('splitSearch', numParts);
+  }
+
+  async setSearchRestrictions(restrictions) {
+    return this._callWorker('setSearchRestrictions', restrictions);
   }
 
   _handleMessage(response) {
@@ -1680,13 +2066,187 @@ class SolverProxy {
   }
 };
 
+// Searches in several workers at once, by splitting the search space into
+// parts which are handed out to each worker as it becomes free.
+// The state from all the workers is merged so that the state handler sees a
+// single search.
+class ParallelSolverProxy {
+  // Use more parts than workers, so that workers which finish early can take
+  // over the remaining work.
+  static PARTS_PER_WORKER = 4;
+
+  static _SUMMED_COUNTERS = [
+    'valuesTried', 'nodesSearched', 'backtracks', 'guesses', 'solutions',
+    'constraintsProcessed',
+  ];
+
+  constructor(stateHandler, statusHandler) {
+    this._stateHandler = stateHandler || (() => null);
+    this._statusHandler = statusHandler || (() => null);
+    this._proxies = [];
+    this._run = null;
+    this._terminated = false;
+  }
+
+  async init(numWorkers, buildProxy) {
+    const results = await Promise.allSettled(
+      Array.from({ length: numWorkers }, (_, i) => (
+        buildProxy(state => this._handleState(i, state)))));
+
+    this._proxies = results
+      .filter(r => r.status == 'fulfilled').map(r => r.value);
+    const failure = results.find(r => r.status == 'rejected');
+    if (failure) {
+      this._terminateProxies();
+      throw failure.reason;
+    }
+  }
+
+  // Count all the solutions. Unlike SolverProxy, there is no limit.
+  async countSolutions() {
+    return this._runParallel(
+      'countSolutions', 0, (total, count) => total + count);
+  }
+
+  async solveAllPossibilities() {
+    return this._runParallel(
+      'solveAllPossibilities', null, (pencilmarks, result) => {
+        if (!pencilmarks) return result;
+        result.forEach((values, i) => {
+          for (const v of values) pencilmarks[i].add(v);
+        });
+        return pencilmarks;
+      });
+  }
+
+  // Other methods only need a single worker. Its restrictions from the last
+  // part must be cleared first.
+  async explainCandidate(cell, value) {
+    const proxy = this._proxies[0];
+    await proxy.setSearchRestrictions([]);
+    return proxy.explainCandidate(cell, value);
+  }
+
+  async _runParallel(method, initialResult, mergeResult) {
+    const proxies = this._proxies;
+    const run = {
+      startTime: performance.now(),
+      puzzleSetupTime: 0,
+      // The counters for the parts which have finished.
+      finished: {
+        progressRatio: 0,
+        branchesIgnored: 0,
+      },
+      // The part being searched by each worker.
+      current: proxies.map(() => null),
+      numRemaining: 0,
+    };
+    for (const key of this.constructor._SUMMED_COUNTERS) {
+      run.finished[key] = 0;
+    }
+    this._run = run;
+    this._statusHandler(true, method, proxies.length);
+
+    try {
+      const parts = await proxies[0].splitSearch(
+        proxies.length * this.constructor.PARTS_PER_WORKER);
+      run.numRemaining = parts.length;
+      // Parts which were excluded by the split have no solutions, so they
+      // count as searched.
+      run.finished.progressRatio = 1 - parts.reduce((a, p) => a + p.weight, 0);
+
+      let result = initialResult;
+      const runWorker = async (proxy, i) => {
+        while (parts.length) {
+          const part = parts.shift();
+          await proxy.setSearchRestrictions(part.restrictions);
+          run.current[i] = { weight: part.weight, state: null };
+          const partResult = await proxy[method]();
+          result = mergeResult(result, partResult);
+          this._finishPart(run, i);
+        }
+      };
+      await Promise.all(proxies.map(runWorker));
+
+      this._sendState(run, null);
+      this._statusHandler(false, method);
+      return result;
+    } catch (e) {
+      // Stop any workers which are still searching.
+      this._terminateProxies();
+      throw e;
+    } finally {
+      this._run = null;
+    }
+  }
+
+  _handleState(i, state) {
+    const current = this._run?.current[i];
+    // Ignore states which are not from searching a part.
+    if (!current) return;
+
+    current.state = state;
+    this._run.puzzleSetupTime ||= state.puzzleSetupTime;
+    this._sendState(this._run, state.extra);
+  }
+
+  _finishPart(run, i) {
+    const { weight, state } = run.current[i];
+    run.current[i] = null;
+    run.numRemaining--;
+    if (state) this._addCounters(run.finished, state.counters, weight);
+  }
+
+  _addCounters(total, counters, weight) {
+    for (const key of this.constructor._SUMMED_COUNTERS) {
+      total[key] += counters[key];
+    }
+    // Progress is a fraction of the part, so scale it to the whole search.
+    total.progressRatio += counters.progressRatio * weight;
+    total.branchesIgnored += counters.branchesIgnored * weight;
+  }
+
+  _sendState(run, extra) {
+    const counters = { ...run.finished };
+    for (const current of run.current) {
+      if (current?.state) {
+        this._addCounters(counters, current.state.counters, current.weight);
+      }
+    }
+
+    this._stateHandler({
+      counters: counters,
+      timeMs: performance.now() - run.startTime,
+      done: run.numRemaining == 0,
+      puzzleSetupTime: run.puzzleSetupTime,
+      extra: extra,
+    });
+  }
+
+  _terminateProxies() {
+    this._terminated = true;
+    for (const proxy of this._proxies) proxy.terminate();
+  }
+
+  terminate() {
+    if (this._terminated) return;
+    this._terminateProxies();
+    if (this._run) this._statusHandler(false, 'terminate');
+  }
+
+  isTerminated() {
+    return this._terminated;
+  }
+}
+
 const toShortSolution = (solution, shape) => {
-  const baseCharCode = SudokuParser.SHAPE_TO_BASE_CHAR_CODE.get(shape);
+  const baseCharCode = SudokuParser.shapeToBaseCharCode(shape);
   const DEFAULT_VALUE = '.';
 
   const result = new Array(solution.length).fill(DEFAULT_VALUE);
 
   for (let i = 0; i < solution.length; i++) {
+    if (!shape.isActiveCell(i)) continue;
     result[i] = String.fromCharCode(baseCharCode + solution[i] - 1);
   }
   return result.join('');
@@ -0,0 +1,372 @@
+// Transformations which turn a puzzle into an equivalent one: symmetries of
+// the grid, band and stack permutations, and relabelling the digits.
+class PuzzleTransform {
+  // Maps (row, col) to the new (row, col), where `n` is the last row.
+  static _SYMMETRIES = {
+    'rotate-90': (r, c, n) => [c, n - r],
+    'rotate-180': (r, c, n) => [n - r, n - c],
+    'rotate-270': (r, c, n) => [n - c, r],
+    'reflect-horizontal': (r, c, n) => [r, n - c],
+    'reflect-vertical': (r, c, n) => [n - r, c],
+    'transpose': (r, c, n) => [c, r],
+    'anti-transpose': (r, c, n) => [n - c, n - r],
+  };
+
+  // Transforms which take a permutation as the `order`.
+  static ORDERED_TYPES = ['permute-bands', 'permute-stacks', 'relabel'];
+
+  // Constraints which only compare values for equality, so relabelling the
+  // digits gives an equivalent puzzle.
+  static _RELABEL_INVARIANT_TYPES = new Set([
+    'Givens', 'Jigsaw', 'AllDifferent', 'Palindrome', 'Quad', 'Binary',
+    'BinaryX', 'Priority', 'Windoku', 'DisjointSets', 'AntiKnight', 'AntiKing',
+    'Diagonal', 'Set', 'Shape', 'NoBoxes', 'Title', 'Author', 'Rules', 'Source',
+  ]);
+
+  // Constraints between neighbouring cells, which only survive symmetries of
+  // the grid.
+  static _ADJACENCY_TYPES = new Set([
+    'AntiKnight', 'AntiKing', 'AntiConsecutive', 'StrictKropki', 'StrictXV',
+  ]);
+
+  // `order` is only used by the ORDERED_TYPES, and a random order is used if
+  // it is empty:
+  //  - For bands and stacks, it lists the original bands (or stacks) in their
+  //    new order, e.g. "312".
+  //  - For relabelling, it lists the new value for each of the original
+  //    values in order, e.g. "987654321".
+  // Values may be separated by spaces or commas.
+  constructor(shape, type, order) {
+    if (shape.subGrids) {
+      throw ('Composite layouts can\'t be transformed.');
+    }
+    this._shape = shape;
+    this._type = type;
+    this._isSymmetry = type in PuzzleTransform._SYMMETRIES;
+
+    const numCells = shape.numCells;
+    this._cellMap = Array.from({ length: numCells }, (_, i) => i);
+    this._valueMap = Array.from(
+      { length: shape.numValues + 1 }, (_, i) => i);
+
+    if (this._isSymmetry) {
+      const fn = PuzzleTransform._SYMMETRIES[type];
+      for (let i = 0; i < numCells; i++) {
+        const [r, c] = shape.splitCellIndex(i);
+        this._cellMap[i] = shape.cellIndex(...fn(r, c, shape.gridSize - 1));
+      }
+    } else if (type === 'permute-bands' || type === 'permute-stacks') {
+      this._initBandMap(type === 'permute-bands', order);
+    } else if (type === 'relabel') {
+      const newValues = this._parsePermutation(
+        order, shape.numValues, v => shape.gridValue(v) - 1);
+      for (let v = 1; v <= shape.numValues; v++) {
+        this._valueMap[v] = newValues[v - 1] + 1;
+      }
+    } else {
+      throw ('Unknown transform: ' + type);
+    }
+  }
+
+  _initBandMap(isRows, order) {
+    const shape = this._shape;
+    if (shape.noDefaultBoxes) throw ('This grid has no bands or stacks.');
+    const size = isRows ? shape.boxHeight : shape.boxWidth;
+    const numBands = shape.gridSize / size;
+    const oldBands = this._parsePermutation(order, numBands, v => v - 1);
+
+    const newBand = [];
+    oldBands.forEach((oldBand, i) => newBand[oldBand] = i);
+    for (let i = 0; i < shape.numCells; i++) {
+      let [r, c] = shape.splitCellIndex(i);
+      if (isRows) {
+        r = newBand[r / size | 0] * size + r % size;
+      } else {
+        c = newBand[c / size | 0] * size + c % size;
+      }
+      this._cellMap[i] = shape.cellIndex(r, c);
+    }
+  }
+
+  // Returns a permutation of [0, size), parsing each item of `order` with
+  // `toIndex`.
+  _parsePermutation(order, size, toIndex) {
+    order = (order || '').trim();
+    if (!order) {
+      const permutation = Array.from({ length: size }, (_, i) => i);
+      shuffleArray(permutation, new RandomIntGenerator(Date.now() % 32987));
+      return permutation;
+    }
+
+    const items = /[\s,]/.test(order) ? order.split(/[\s,]+/) : [...order];
+    const permutation = items.map(v => toIndex(+v));
+    const isValid = (
+      permutation.length == size &&
+      permutation.every(v => Number.isInteger(v) && v >= 0 && v < size) &&
+      new Set(permutation).size == size);
+    if (!isValid) {
+      throw (`Order must list each of the ${size} items exactly once.`);
+    }
+    return permutation;
+  }
+
+  // Returns { constraint, warnings }, where `warnings` lists constraints which
+  // depend on the values, so are not equivalent after relabelling.
+  apply(constraint) {
+    const [constraints, metaConstraints] = constraint.toLists();
+    this._checkRegions(constraints, metaConstraints);
+
+    const warnings = new Set();
+    const result = this._transform(constraint, warnings);
+    return { constraint: result, warnings: [...warnings] };
+  }
+
+  // Regions implied by the layout must map onto themselves.
+  _checkRegions(constraints, metaConstraints) {
+    const shape = this._shape;
+    const regions = [];
+    if (!metaConstraints.some(c => c.type === 'NoBoxes')) {
+      regions.push(['Boxes', SudokuConstraintBase.boxRegions(shape)]);
+    }
+    for (const c of constraints) {
+      switch (c.type) {
+        case 'Windoku':
+          regions.push([c.type, SudokuConstraint.Windoku.regions(shape)]);
+          break;
+        case 'DisjointSets':
+          regions.push([c.type, SudokuConstraintBase.disjointSetRegions(shape)]);
+          break;
+        case 'GlobalEntropy':
+          regions.push([c.type, SudokuConstraint.GlobalEntropy.regions(shape)]);
+          break;
+      }
+    }
+
+    const regionKey = (cells) => cells.slice().sort((a, b) => a - b).join();
+    for (const [name, cellLists] of regions) {
+      const keys = new Set(cellLists.map(regionKey));
+      const mapsToItself = cellLists.every(
+        cells => keys.has(regionKey(cells.map(c => this._cellMap[c]))));
+      if (!mapsToItself) throw (`${name} can't be transformed with ${this._type}.`);
+    }
+  }
+
+  _mapCellId(cellId) {
+    const shape = this._shape;
+    return shape.makeCellIdFromIndex(
+      this._cellMap[shape.parseCellId(cellId).cell]);
+  }
+
+  _mapDisplayValue(value) {
+    const shape = this._shape;
+    return shape.displayValue(this._valueMap[shape.gridValue(+value)]);
+  }
+
+  _transform(c, warnings) {
+    const shape = this._shape;
+    const isRelabelled = this._valueMap.some((v, i) => v != i);
+    if (isRelabelled && !PuzzleTransform._RELABEL_INVARIANT_TYPES.has(c.type)) {
+      // Cages without a sum don't depend on the values.
+      if (!(c.type === 'Cage' && !+c.sum)) warnings.add(c.type);
+    }
+    const movesCells = this._cellMap.some((v, i) => v != i);
+    if (movesCells && !this._isSymmetry &&
+      PuzzleTransform._ADJACENCY_TYPES.has(c.type)) {
+      throw (`${c.type} can't be transformed with ${this._type}.`);
+    }
+
+    switch (c.type) {
+      case 'Set':
+        return new SudokuConstraint.Set(
+          c.constraints.map(item => this._transform(item, warnings)));
+      case 'Givens':
+        return new SudokuConstraint.Givens(...c.values.map(valueId => {
+          const { cellId, values } = shape.parseValueId(valueId);
+          const displayValues = values.map(
+            v => shape.displayValue(this._valueMap[v]));
+          return [this._mapCellId(cellId), ...displayValues].join('_');
+        }));
+      case 'Jigsaw':
+        {
+          const grid = [...c.grid];
+          for (let i = 0; i < grid.length; i++) {
+            grid[this._cellMap[i]] = c.grid[i];
+          }
+          return new SudokuConstraint.Jigsaw(grid.join(''));
+        }
+      case 'Quad':
+        {
+          const cells = c.cells().map(
+            cellId => shape.parseCellId(this._mapCellId(cellId)));
+          const row = Math.min(...cells.map(p => p.row));
+          const col = Math.min(...cells.map(p => p.col));
+          const isSquare = cells.every(
+            p => p.row - row <= 1 && p.col - col <= 1);
+          if (!isSquare) throw (`Quad can't be transformed with ${this._type}.`);
+          return new SudokuConstraint.Quad(
+            shape.makeCellId(row, col),
+            ...c.values.map(v => this._mapDisplayValue(v)));
+        }
+      case 'Diagonal':
+        return new SudokuConstraint.Diagonal(this._mapDiagonal(c.direction));
+      case 'LittleKiller':
+        return new SudokuConstraint.LittleKiller(
+          c.sum, this._mapLittleKiller(c.id));
+      case 'Sandwich':
+        {
+          const [rowCol, _] = this._mapLine(c.id, c.type);
+          return new SudokuConstraint.Sandwich(c.sum, rowCol);
+        }
+      case 'XSum':
+      case 'Skyscraper':
+        {
+          const [rowCol, direction] = this._mapLine(c.rowCol, c.type);
+          const [inc, dec] = c.args.slice(1);
+          return new SudokuConstraint[c.type](
+            rowCol, ...(direction > 0 ? [inc, dec] : [dec, inc]));
+        }
+      case 'PillArrow':
+        {
+          // The pill is read in order of the cells, so it must not be reversed.
+          const [a, b] = c.cells.map(cellId => shape.parseCellId(cellId).cell);
+          if ((a < b) != (this._cellMap[a] < this._cellMap[b])) {
+            throw (`PillArrow can't be transformed with ${this._type}.`);
+          }
+          return new SudokuConstraint.PillArrow(...this._mapCellArgs(c.cells));
+        }
+      case 'Binary':
+      case 'BinaryX':
+        return new SudokuConstraint[c.type](
+          this._mapBinaryKey(c.key),
+          // Items are cells if they start with 'R', otherwise group names.
+          ...c.items.map(item => /^r/i.test(item) ? this._mapCellId(item) : item));
+    }
+
+    if (c.isMeta) return c;
+    return new SudokuConstraint[c.type](...this._mapCellArgs(c.args));
+  }
+
+  _mapCellArgs(args) {
+    return args.map(arg => (
+      /^R[0-9a-z]+C[0-9a-z]+$/i.test(arg) ? this._mapCellId(arg) : arg));
+  }
+
+  // Returns the direction of the diagonal which `direction` maps to.
+  _mapDiagonal(direction) {
+    const last = this._shape.gridSize - 1;
+    const cells = [];
+    for (let r = 0; r <= last; r++) {
+      const c = direction > 0 ? last - r : r;
+      cells.push(this._shape.splitCellIndex(
+        this._cellMap[this._shape.cellIndex(r, c)]));
+    }
+    if (cells.every(([r, c]) => r == c)) return -1;
+    if (cells.every(([r, c]) => r + c == last)) return 1;
+    throw (`Diagonal can't be transformed with ${this._type}.`);
+  }
+
+  _mapLittleKiller(id) {
+    const shape = this._shape;
+    const cellMap = SudokuConstraint.LittleKiller.cellMap(shape);
+    const key = (cellIds) => cellIds.map(c => shape.parseCellId(c).cell)
+      .sort((a, b) => a - b).join();
+
+    const mappedKey = key(cellMap[id].map(c => this._mapCellId(c)));
+    for (const [newId, cells] of Object.entries(cellMap)) {
+      if (key(cells) === mappedKey) return newId;
+    }
+    throw (`LittleKiller can't be transformed with ${this._type}.`);
+  }
+
+  // Returns [rowCol, direction] of the row or column which `rowCol` maps to.
+  // Direction is -1 if the line is reversed.
+  _mapLine(rowCol, type) {
+    const lines = SudokuConstraintBase.fullLineCellMap(this._shape);
+    const mapped = lines.get([rowCol, 1].toString())
+      .map(c => this._mapCellId(c)).join();
+    for (const [key, cells] of lines) {
+      if (cells.join() === mapped) {
+        const [newRowCol, direction] = key.split(',');
+        return [newRowCol, +direction];
+      }
+    }
+    throw (`${type} can't be transformed with ${this._type}.`);
+  }
+
+  // The key for the same relationship between the relabelled values.
+  _mapBinaryKey(key) {
+    if (this._valueMap.every((v, i) => v == i)) return key;
+
+    const numValues = this._shape.numValues;
+    const bits = Base64Codec.decodeTo6BitArray(key);
+    const isAllowed = (a, b) => {
+      const index = (a - 1) * numValues + (b - 1);
+      return (bits[index / 6 | 0] >> (index % 6)) & 1;
+    };
+    const oldValue = [];
+    this._valueMap.forEach((v, i) => oldValue[v] = i);
+    // Values are grid values, so there is no offset.
+    return SudokuConstraint.Binary.fnToKey(
+      (a, b) => isAllowed(oldValue[a], oldValue[b]), numValues);
+  }
+}
+
+class TransformPanel {
+  constructor(constraintManager) {
+    this._constraintManager = constraintManager;
+    this._container = document.getElementById('transform-container');
+    this._form = document.forms['transform-form'];
+    this._error = document.getElementById('transform-error');
+    this._warnings = document.getElementById('transform-warnings');
+
+    document.getElementById('transform-open-button').onclick = () => {
+      this._container.classList.remove('hidden');
+    };
+    document.getElementById('transform-close-button').onclick = () => {
+      this._container.classList.add('hidden');
+    };
+
+    const typeSelect = this._form['transform-type'];
+    typeSelect.onchange = () => {
+      this._form['transform-order'].disabled = (
+        !PuzzleTransform.ORDERED_TYPES.includes(typeSelect.value));
+    };
+    typeSelect.onchange();
+
+    this._form.onsubmit = (e) => {
+      e.preventDefault();
+      this._apply();
+      return false;
+    };
+  }
+
+  _apply() {
+    clearDOMNode(this._warnings);
+    this._error.textContent = '';
+
+    const form = this._form;
+    const constraint = this._constraintManager.getConstraints();
+    let result;
+    try {
+      const transform = new PuzzleTransform(
+        constraint.getShape(), form['transform-type'].value,
+        form['transform-order'].value);
+      result = transform.apply(constraint);
+    } catch (e) {
+      this._error.textContent = e.toString();
+      return;
+    }
+
+    this._constraintManager.replaceConstraints(result.constraint);
+
+    if (result.warnings.length) {
+      this._error.textContent = 'These constraints depend on the values, ' +
+        'so the relabelled puzzle is not equivalent:';
+    }
+    for (const warning of result.warnings) {
+      const li = document.createElement('li');
+      li.textContent = warning;
+      this._warnings.appendChild(li);
+    }
+  }
+}
@@ -75,13 +75,14 @@ const setDifference = (a, b) => {
   return diff;
 };
 
-const countOnes16bit = (x) => {
+const countOnes = (x) => {
   x -= (x >> 1) & 0x55555555;
   x = (x & 0x33333333) + ((x >> 2) & 0x33333333);
   x = (x + (x >> 4)) & 0x0f0f0f0f;
   x += x >> 8;
+  x += x >> 16;
 
-  return x & 0x1f;
+  return x & 0x3f;
 };
 
 const deferUntilAnimationFrame = (fn) => {
@@ -323,4 +324,31 @@ class Base64Codec {
   static lengthOf6BitArray(numBits) {
     return Math.ceil(numBits / 6);
   }
+
+  // Bytes are packed 3 to every 4 characters, without padding.
+  static encodeBytes(bytes) {
+    const array = new Uint8Array(this.lengthOf6BitArray(bytes.length * 8));
+    for (let i = 0; i < bytes.length; i++) {
+      const bit = i * 8;
+      const j = bit / 6 | 0;
+      const shift = bit % 6;
+      // The byte is split over two 6-bit values.
+      array[j] |= (bytes[i] << shift) & 63;
+      if (j + 1 < array.length) array[j + 1] |= bytes[i] >> (6 - shift);
+    }
+    return this.encode6BitArray(Array.from(array));
+  }
+
+  static decodeToBytes(str) {
+    if (!/^[\w-]*$/.test(str)) throw ('Invalid base64 string.');
+    const array = this.decodeTo6BitArray(str);
+    const bytes = new Uint8Array(str.length * 6 / 8 | 0);
+    for (let i = 0; i < bytes.length; i++) {
+      const bit = i * 8;
+      const j = bit / 6 | 0;
+      const shift = bit % 6;
+      bytes[i] = ((array[j] >> shift) | (array[j + 1] << (6 - shift))) & 255;
+    }
+    return bytes;
+  }
 };
\ No newline at end of file
@@ -7,20 +7,24 @@ const START_INIT_WORKER = performance.now();
     'sudoku_builder.js' + versionParam,
     'solver/engine.js' + versionParam,
     'solver/handlers.js' + versionParam,
-    'solver/optimizer.js' + versionParam);
+    'solver/optimizer.js' + versionParam,
+    'solver/logic.js' + versionParam);
 }
 
 
 let workerSolver = null;
 let workerSolverSetUpTime = 0;
+let workerConstraint = null;
+let workerLogicalSolver = null;
 
 const handleWorkerMethod = (method, payload) => {
   switch (method) {
     case 'init':
       const timer = new Timer();
       timer.runTimed(() => {
-        const constraint = SudokuBuilder.resolveConstraint(payload.constraint);
-        workerSolver = SudokuBuilder.build(constraint, payload.debugOptions);
+        workerConstraint = SudokuBuilder.resolveConstraint(payload.constraint);
+        workerSolver = SudokuBuilder.build(
+          workerConstraint, payload.debugOptions);
       });
       workerSolverSetUpTime = timer.elapsedMs();
 
@@ -43,7 +47,36 @@ const handleWorkerMethod = (method, payload) => {
       return workerSolver.nthStep(...payload);
 
     case 'countSolutions':
-      return workerSolver.countSolutions();
+      return workerSolver.countSolutions(payload);
+
+    case 'nthLogicalStep':
+      // The logical solver is only created when it is needed.
+      workerLogicalSolver ||= new LogicalSolver(workerConstraint);
+      return workerLogicalSolver.nthStep(payload);
+
+    case 'rateDifficulty':
+      return workerSolver.rateDifficulty(payload);
+
+    case 'minimizeGivens':
+      return workerSolver.minimizeGivens(payload);
+
+    case 'generatePuzzle':
+      return workerSolver.generatePuzzle(payload);
+
+    case 'candidateFrequencies':
+      return workerSolver.candidateFrequencies(...payload);
+
+    case 'suggestClues':
+      return workerSolver.suggestClues(...payload);
+
+    case 'explainCandidate':
+      return workerSolver.explainCandidate(...payload);
+
+    case 'splitSearch':
+      return workerSolver.splitSearch(payload);
+
+    case 'setSearchRestrictions':
+      return workerSolver.setSearchRestrictions(payload);
   }
   throw (`Unknown method ${method}`);
 };